@@ -0,0 +1,76 @@
+// events.js
+import { EventEmitter } from 'events';
+
+/**
+ * Bus de eventos en proceso para el stream en tiempo real (/api/events).
+ * Los handlers publican aquí; server.js los reenvía por SSE a cada cliente
+ * según sus filtros (tipos y/o leadIds).
+ */
+
+export const EVENT_TYPES = {
+  MESSAGE_INBOUND: 'message.inbound',
+  MESSAGE_OUTBOUND: 'message.outbound',
+  MESSAGE_STATUS: 'message.status',
+  MESSAGE_TRANSCRIPT: 'message.transcript',
+  CONNECTION_STATE: 'connection.state',
+  CONNECTION_QR: 'connection.qr',
+  MUSICA_STATUS: 'musica.status',
+  LEAD_MERGED: 'lead.merged',
+  QUEUE_JOB_SENT: 'queue.job.sent',
+  QUEUE_JOB_RETRY: 'queue.job.retry',
+  QUEUE_JOB_SKIPPED: 'queue.job.skipped',
+  QUEUE_JOB_FAILED: 'queue.job.failed',
+  QUEUE_SEQUENCE_STOPPED: 'queue.sequence.stopped',
+  QUEUE_SEQUENCE_UPDATED: 'queue.sequence.updated',
+};
+
+const HISTORY_SIZE = 200;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // un listener por cliente SSE
+
+let lastId = 0;
+const history = []; // últimos eventos, para reanudar con Last-Event-ID
+
+/**
+ * Publica un evento. Nunca lanza: un fallo de un suscriptor no debe
+ * romper el handler que lo emite.
+ * @param {string} type  uno de EVENT_TYPES
+ * @param {object} data
+ * @param {{ leadId?: string|null }} meta
+ */
+export function publishEvent(type, data = {}, { leadId = null } = {}) {
+  const event = { id: ++lastId, type, leadId: leadId || null, at: new Date().toISOString(), data };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  try {
+    bus.emit('event', event);
+  } catch (err) {
+    console.error('[events] suscriptor falló:', err);
+  }
+  return event;
+}
+
+/** Filtro de suscripción: { types: string[], leadIds: string[] } (vacío = todo) */
+export function matchesFilter(event, { types = [], leadIds = [] } = {}) {
+  if (types.length && !types.some(t => event.type === t || event.type.startsWith(`${t}.`))) return false;
+  if (leadIds.length && !leadIds.includes(event.leadId)) return false;
+  return true;
+}
+
+/**
+ * Suscribe un listener con filtro. Devuelve la función para desuscribirse.
+ * Con `sinceId` reenvía primero los eventos guardados posteriores a ese id.
+ */
+export function subscribeEvents(listener, filter = {}, { sinceId = null } = {}) {
+  if (sinceId !== null) {
+    history
+      .filter(e => e.id > sinceId && matchesFilter(e, filter))
+      .forEach(listener);
+  }
+  const onEvent = (event) => {
+    if (matchesFilter(event, filter)) listener(event);
+  };
+  bus.on('event', onEvent);
+  return () => bus.off('event', onEvent);
+}
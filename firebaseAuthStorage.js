@@ -0,0 +1,169 @@
+// firebaseAuthStorage.js
+import fs from 'fs';
+import path from 'path';
+import { BufferJSON, initAuthCreds, proto } from 'baileys';
+import { db, admin } from './firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+
+const AUTH_COLLECTION = 'whatsappAuth';
+const BATCH_LIMIT = 450; // Firestore permite 500 operaciones por batch
+
+/* ------------------------------ helpers ------------------------------ */
+// Mismo saneado de nombres que useMultiFileAuthState: así la migración es 1:1
+function fixKey(key) {
+  return String(key).replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+/* ------------------------ store de Firestore ------------------------- */
+
+/**
+ * Store de claves/valores (strings) en Firestore:
+ *   whatsappAuth/{sessionId}            → metadatos de la sesión
+ *   whatsappAuth/{sessionId}/keys/{key} → { value, updatedAt }
+ *
+ * Cualquier objeto con la misma forma { get, set, clear, isEmpty } puede
+ * sustituirlo (memoria, Redis, etc.).
+ */
+export function createFirestoreAuthStore(sessionId = 'default') {
+  const sessionRef = db.collection(AUTH_COLLECTION).doc(sessionId);
+  const keysColl = sessionRef.collection('keys');
+
+  return {
+    sessionId,
+
+    /** Devuelve { key: value|null } para las claves pedidas */
+    async get(keys) {
+      if (!keys.length) return {};
+      const refs = keys.map(k => keysColl.doc(fixKey(k)));
+      const snaps = await db.getAll(...refs);
+      const out = {};
+      snaps.forEach((s, i) => {
+        out[keys[i]] = s.exists ? s.data().value ?? null : null;
+      });
+      return out;
+    },
+
+    /** Escribe { key: value }; un value null/undefined borra la clave */
+    async set(entries) {
+      const pairs = Object.entries(entries);
+      for (const part of chunk(pairs, BATCH_LIMIT)) {
+        const batch = db.batch();
+        for (const [k, v] of part) {
+          const ref = keysColl.doc(fixKey(k));
+          if (v === null || v === undefined) batch.delete(ref);
+          else batch.set(ref, { value: v, updatedAt: FieldValue.serverTimestamp() });
+        }
+        await batch.commit();
+      }
+      await sessionRef.set({ updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    },
+
+    /** Borra todas las claves y los metadatos de la sesión */
+    async clear() {
+      const snap = await keysColl.get();
+      for (const part of chunk(snap.docs, BATCH_LIMIT)) {
+        const batch = db.batch();
+        part.forEach(d => batch.delete(d.ref));
+        await batch.commit();
+      }
+      await sessionRef.delete();
+    },
+
+    async isEmpty() {
+      const snap = await keysColl.doc('creds').get();
+      return !snap.exists;
+    },
+
+    async setMeta(data) {
+      await sessionRef.set(data, { merge: true });
+    }
+  };
+}
+
+/* ------------------------ auth state de Baileys ----------------------- */
+
+/**
+ * Equivalente a useMultiFileAuthState pero sobre un store remoto.
+ * Devuelve el mismo contrato { state, saveCreds } más clearState()
+ * para el caso loggedOut.
+ */
+export async function useFirestoreAuthState(store) {
+  const read = async (key) => {
+    const { [key]: raw } = await store.get([key]);
+    return raw ? JSON.parse(raw, BufferJSON.reviver) : null;
+  };
+
+  const creds = (await read('creds')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const raw = await store.get(ids.map(id => `${type}-${id}`));
+          const data = {};
+          for (const id of ids) {
+            const str = raw[`${type}-${id}`];
+            let value = str ? JSON.parse(str, BufferJSON.reviver) : null;
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }
+          return data;
+        },
+        set: async (data) => {
+          const entries = {};
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              entries[`${category}-${id}`] = value
+                ? JSON.stringify(value, BufferJSON.replacer)
+                : null;
+            }
+          }
+          await store.set(entries);
+        }
+      }
+    },
+    saveCreds: async () => {
+      await store.set({ creds: JSON.stringify(creds, BufferJSON.replacer) });
+    },
+    clearState: async () => {
+      await store.clear();
+    }
+  };
+}
+
+/* ------------------- migración desde carpeta local -------------------- */
+
+/**
+ * Copia (una sola vez) una carpeta de useMultiFileAuthState al store.
+ * Solo actúa si el store está vacío y la carpeta tiene creds.json.
+ * @returns {Promise<number>} claves migradas (0 si no hubo migración)
+ */
+export async function migrateMultiFileAuthState(folder, store) {
+  if (!folder || !fs.existsSync(path.join(folder, 'creds.json'))) return 0;
+  if (!(await store.isEmpty())) return 0;
+
+  const entries = {};
+  for (const file of fs.readdirSync(folder)) {
+    if (!file.endsWith('.json')) continue;
+    entries[file.slice(0, -'.json'.length)] = fs.readFileSync(path.join(folder, file), 'utf8');
+  }
+
+  const n = Object.keys(entries).length;
+  if (!n) return 0;
+
+  await store.set(entries);
+  await store.setMeta?.({ migratedFrom: folder, migratedAt: FieldValue.serverTimestamp() });
+  console.log(`[auth] ${n} claves migradas de ${folder} → ${store.sessionId || 'store'}`);
+  return n;
+}
@@ -1,4 +1,6 @@
 import { db } from '../firebaseAdmin.js'; // Asegúrate de tener Firebase Admin configurado
+import { normalizePhone } from '../utils/phone.js';
+import { resolveLeadId } from '../leadMerge.js';
 
 /**
  * Función para manejar la recepción de mensajes y guardar la conversación en Firebase
@@ -6,7 +8,7 @@ import { db } from '../firebaseAdmin.js'; // Asegúrate de tener Firebase Admin
  */
 export async function receiveMessage(message) {
   try {
-    const jid = message.key.remoteJid;
+    const jid = await resolveLeadId(message.key.remoteJid); // alias si el lead se fusionó
     const content = message.message?.conversation || message.message?.extendedTextMessage?.text;
 
     if (!content) {
@@ -16,13 +18,14 @@ export async function receiveMessage(message) {
     // Verificar si el lead ya existe en Firestore
     let leadDoc = await db.collection('leads').doc(jid).get();
     if (!leadDoc.exists) {
-      const telefono = jid.split('@')[0];  // Extraemos el número de teléfono del JID
+      const telefono = normalizePhone(jid);  // Extraemos el número de teléfono del JID (forma canónica)
       const newLead = {
         telefono,
         nombre: message.pushName || 'Desconocido',
         fecha_creacion: new Date(),
         estado: 'nuevo',
         etiquetas: ['NuevoLead'],
+        profileRefreshedAt: null, // entra al refresco periódico de perfiles
       };
       await db.collection('leads').doc(jid).set(newLead);
       console.log(`Nuevo lead creado: ${telefono}`);
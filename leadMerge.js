@@ -0,0 +1,299 @@
+// leadMerge.js
+import { db, admin } from './firebaseAdmin.js';
+import { normalizePhone } from './utils/phone.js';
+import { forgetLeadIds } from './whatsappService.js';
+import { publishEvent, EVENT_TYPES } from './events.js';
+import { OPEN_STATUSES } from './queue.js';
+
+const { FieldValue, FieldPath } = admin.firestore;
+const leadsColl = db.collection('leads');
+const aliasColl = db.collection('leadAliases');
+
+/**
+ * Duplicados de leads: el mismo número guardado con ids distintos
+ * (JID 521… vs 52…, formularios con id aleatorio, mensajeReceiver con
+ * remoteJid crudo…). La clave de agrupación es el teléfono canónico.
+ *
+ * Al fusionar, cada lead absorbido deja un alias en leadAliases/{idViejo}
+ * → { leadId: idSuperviviente } para que los mensajes futuros que lleguen
+ * con el id viejo caigan en el superviviente.
+ */
+
+export const LEAD_NOT_FOUND = 'LEAD_NOT_FOUND';
+export const PHONE_MISMATCH = 'PHONE_MISMATCH';
+
+// colecciones que referencian al lead por `leadId`
+const LEAD_REFERENCES = ['sequenceQueue', 'musica', 'media'];
+const BATCH_LIMIT = 400;
+
+// datos del duplicado que rellenan huecos del superviviente; el resto
+// (mergedFrom, profile*, sequenceStops, contadores…) se trata aparte o se descarta
+const COPYABLE_FIELDS = [
+  'nombre', 'email', 'region', 'timezone', 'source', 'estado',
+  'negocio', 'giro', 'descripcion', 'pushName', 'data',
+];
+
+// alias conocidos: idViejo → idSuperviviente. Solo positivos (un alias no
+// deja de serlo); "no es alias" no se cachea: otra instancia puede fusionarlo.
+const aliasCache = new Map();
+
+function mergeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toMillis(v) {
+  return v?.toMillis?.() ?? (v ? +new Date(v) : 0);
+}
+
+/** Teléfono canónico de un lead (telefono → id si es un JID) */
+export function canonicalLeadPhone(id, lead = {}) {
+  return normalizePhone(lead.telefono || id, { region: lead.region });
+}
+
+/* ------------------------------- alias -------------------------------- */
+
+/**
+ * Id vigente de un lead: si fue absorbido por una fusión devuelve el del
+ * superviviente, si no el mismo id. Un alias cacheado se vuelve a resolver
+ * (el superviviente pudo fusionarse después en otra instancia).
+ */
+export async function resolveLeadId(leadId, depth = 0) {
+  if (!leadId || depth > 5) return leadId;
+  if (aliasCache.has(leadId)) return resolveLeadId(aliasCache.get(leadId), depth + 1);
+
+  const snap = await aliasColl.doc(leadId).get();
+  if (!snap.exists) return leadId;
+  if (aliasCache.size > 5000) aliasCache.clear();
+  aliasCache.set(leadId, snap.data().leadId);
+  return resolveLeadId(snap.data().leadId, depth + 1);
+}
+
+/* ----------------------------- detección ------------------------------ */
+
+// Preferencia de superviviente: el id con forma de JID (donde escribe
+// messages.upsert) y, entre iguales, el más antiguo.
+function pickSurvivor(leads) {
+  return [...leads].sort((a, b) => {
+    const ja = a.id.endsWith('@s.whatsapp.net') ? 0 : 1;
+    const jb = b.id.endsWith('@s.whatsapp.net') ? 0 : 1;
+    if (ja !== jb) return ja - jb;
+    return toMillis(a.fecha_creacion) - toMillis(b.fecha_creacion);
+  })[0].id;
+}
+
+/**
+ * Recorre todos los leads y agrupa los que resuelven al mismo teléfono canónico.
+ * @returns {Promise<Array<{ telefono, leads: object[], suggestedSurvivor: string }>>}
+ */
+export async function findDuplicateLeads({ pageSize = 500 } = {}) {
+  const byPhone = new Map();
+  let last = null;
+
+  for (;;) {
+    let q = leadsColl
+      .orderBy(FieldPath.documentId())
+      .select('telefono', 'region', 'nombre', 'fecha_creacion', 'lastMessageAt', 'etiquetas')
+      .limit(pageSize);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const d = doc.data();
+      const telefono = canonicalLeadPhone(doc.id, d);
+      if (!telefono) continue;
+      if (!byPhone.has(telefono)) byPhone.set(telefono, []);
+      byPhone.get(telefono).push({
+        id: doc.id,
+        telefono: d.telefono || null,
+        nombre: d.nombre || '',
+        fecha_creacion: d.fecha_creacion || null,
+        lastMessageAt: d.lastMessageAt || null,
+        etiquetas: d.etiquetas || [],
+      });
+    }
+    if (snap.size < pageSize) break;
+    last = snap.docs[snap.docs.length - 1].id;
+  }
+
+  return [...byPhone.entries()]
+    .filter(([, leads]) => leads.length > 1)
+    .map(([telefono, leads]) => ({ telefono, leads, suggestedSurvivor: pickSurvivor(leads) }));
+}
+
+/* ------------------------------ fusión -------------------------------- */
+
+/** Mueve leads/{from}/messages a leads/{to}/messages conservando el id del doc */
+async function moveMessages(fromId, toId) {
+  const from = leadsColl.doc(fromId).collection('messages');
+  const to = leadsColl.doc(toId).collection('messages');
+  let moved = 0;
+
+  for (;;) {
+    const snap = await from.limit(BATCH_LIMIT / 2).get();
+    if (snap.empty) break;
+    const batch = db.batch();
+    for (const doc of snap.docs) {
+      // mismo id = mismo waMessageId: set idempotente si se reintenta la fusión
+      batch.set(to.doc(doc.id), { ...doc.data(), mergedFrom: fromId }, { merge: true });
+      batch.delete(doc.ref);
+    }
+    await batch.commit();
+    moved += snap.size;
+  }
+  return moved;
+}
+
+/**
+ * Re-apunta los docs de LEAD_REFERENCES. Los jobs pendientes/pausados de un trigger
+ * que el superviviente ya tiene programado se borran (misma regla que
+ * scheduleSequenceForLead: un solo juego de pendientes por trigger).
+ */
+async function repointReferences(fromId, toId) {
+  const counts = {};
+
+  const pendingSnap = await db.collection('sequenceQueue')
+    .where('leadId', '==', toId)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+  const survivorTriggers = new Set(pendingSnap.docs.map(d => d.data().trigger));
+
+  for (const coll of LEAD_REFERENCES) {
+    const snap = await db.collection(coll).where('leadId', '==', fromId).get();
+    counts[coll] = snap.size;
+    for (let i = 0; i < snap.docs.length; i += BATCH_LIMIT) {
+      const batch = db.batch();
+      for (const doc of snap.docs.slice(i, i + BATCH_LIMIT)) {
+        const d = doc.data();
+        if (coll === 'sequenceQueue' && OPEN_STATUSES.includes(d.status) && survivorTriggers.has(d.trigger)) {
+          batch.delete(doc.ref);
+        } else {
+          batch.update(doc.ref, { leadId: toId, mergedFrom: fromId });
+        }
+      }
+      await batch.commit();
+    }
+  }
+  return counts;
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '';
+}
+
+/**
+ * Campos del lead fusionado: el superviviente manda y solo se rellenan los
+ * COPYABLE_FIELDS que le faltan; etiquetas e historiales se unen, contadores
+ * se suman. Un opt-out en cualquiera de los dos se conserva.
+ * mergedFrom lo une mergeLeads.
+ */
+function mergedLeadFields(survivor, dup, telefono) {
+  const upd = {};
+  for (const k of COPYABLE_FIELDS) {
+    if (isEmpty(survivor[k]) && !isEmpty(dup[k])) upd[k] = dup[k];
+  }
+  // leads antiguos sin sesión: la del duplicado
+  if (!survivor.sessionId && dup.sessionId) upd.sessionId = dup.sessionId;
+
+  upd.telefono = telefono;
+  upd.etiquetas = [...new Set([...(survivor.etiquetas || []), ...(dup.etiquetas || [])])];
+  if (survivor.cancelledTriggers || dup.cancelledTriggers) {
+    upd.cancelledTriggers = [...new Set([...(survivor.cancelledTriggers || []), ...(dup.cancelledTriggers || [])])];
+  }
+  if (dup.nuevoLeadCancelled) upd.nuevoLeadCancelled = true;
+  upd.unreadCount = Number(survivor.unreadCount || 0) + Number(dup.unreadCount || 0);
+
+  if (survivor.pushNameHistory || dup.pushNameHistory) {
+    upd.pushNameHistory = [...(survivor.pushNameHistory || []), ...(dup.pushNameHistory || [])]
+      .sort((a, b) => toMillis(a.at) - toMillis(b.at));
+  }
+
+  if (toMillis(dup.fecha_creacion) && toMillis(dup.fecha_creacion) < toMillis(survivor.fecha_creacion)) {
+    upd.fecha_creacion = dup.fecha_creacion;
+  }
+  if (toMillis(dup.lastMessageAt) > toMillis(survivor.lastMessageAt)) {
+    upd.lastMessageAt = dup.lastMessageAt;
+    if (dup.lastInboundKey) upd.lastInboundKey = dup.lastInboundKey;
+  }
+  if (toMillis(dup.lastInboundAt) > toMillis(survivor.lastInboundAt)) upd.lastInboundAt = dup.lastInboundAt;
+
+  if (dup.optedOut && !survivor.optedOut) {
+    for (const k of ['optedOut', 'optedOutAt', 'optOutKeyword', 'optOutSource', 'optOutLanguage']) {
+      if (dup[k] !== undefined) upd[k] = dup[k];
+    }
+  }
+  if (dup.hasActiveSequences) upd.hasActiveSequences = true;
+  return upd;
+}
+
+/**
+ * Fusiona `duplicateIds` en `survivorId`: mueve mensajes, une etiquetas,
+ * re-apunta sequenceQueue/musica/media, deja alias y borra los duplicados.
+ * Exige el mismo teléfono canónico salvo `force`.
+ * @returns {Promise<{ leadId, merged: object[] }>}
+ */
+export async function mergeLeads(survivorId, duplicateIds = [], { force = false, by = null } = {}) {
+  const ids = [...new Set(duplicateIds)].filter(id => id && id !== survivorId);
+  if (!ids.length) throw new Error('duplicateIds vacío');
+
+  const survivorRef = leadsColl.doc(survivorId);
+  const survivorSnap = await survivorRef.get();
+  if (!survivorSnap.exists) throw mergeError(LEAD_NOT_FOUND, `Lead no existe: ${survivorId}`);
+  const telefono = canonicalLeadPhone(survivorId, survivorSnap.data());
+
+  const dupSnaps = await Promise.all(ids.map(id => leadsColl.doc(id).get()));
+  for (const snap of dupSnaps) {
+    if (!snap.exists) throw mergeError(LEAD_NOT_FOUND, `Lead no existe: ${snap.id}`);
+    const other = canonicalLeadPhone(snap.id, snap.data());
+    if (!force && other !== telefono) {
+      throw mergeError(PHONE_MISMATCH, `Teléfonos distintos: ${survivorId} (${telefono}) y ${snap.id} (${other})`);
+    }
+  }
+
+  const merged = [];
+  for (const dupSnap of dupSnaps) {
+    const dupId = dupSnap.id;
+    const dup = dupSnap.data();
+
+    // 1) alias primero: lo que llegue durante la fusión ya cae en el superviviente
+    await aliasColl.doc(dupId).set({
+      leadId: survivorId,
+      telefono,
+      mergedAt: FieldValue.serverTimestamp(),
+      mergedBy: by,
+      snapshot: dup,
+    });
+    const chained = await aliasColl.where('leadId', '==', dupId).get();
+    if (!chained.empty) {
+      const batch = db.batch();
+      chained.forEach(d => batch.update(d.ref, { leadId: survivorId }));
+      await batch.commit();
+    }
+    aliasCache.set(dupId, survivorId);
+    chained.forEach(d => aliasCache.set(d.id, survivorId));
+    forgetLeadIds([dupId]);
+
+    // 2) mensajes y referencias
+    const messages = await moveMessages(dupId, survivorId);
+    const references = await repointReferences(dupId, survivorId);
+
+    // 3) datos del lead (con el superviviente recién leído: puede haber cambiado)
+    await db.runTransaction(async (tx) => {
+      const cur = await tx.get(survivorRef);
+      tx.update(survivorRef, {
+        ...mergedLeadFields(cur.data(), dup, telefono),
+        // los que el duplicado ya había absorbido también
+        mergedFrom: FieldValue.arrayUnion(...(dup.mergedFrom || []), dupId),
+        mergedAt: FieldValue.serverTimestamp(),
+      });
+      tx.delete(leadsColl.doc(dupId));
+    });
+
+    merged.push({ leadId: dupId, messages, references });
+  }
+
+  publishEvent(EVENT_TYPES.LEAD_MERGED, { leadId: survivorId, mergedFrom: merged.map(m => m.leadId) }, { leadId: survivorId });
+  return { leadId: survivorId, merged };
+}
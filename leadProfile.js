@@ -0,0 +1,199 @@
+// leadProfile.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { db, admin } from './firebaseAdmin.js';
+import { getWhatsAppSock } from './whatsappService.js';
+import { toWhatsAppJid } from './utils/phone.js';
+import { storeMedia } from './mediaService.js';
+
+const { FieldValue, FieldPath } = admin.firestore;
+
+/**
+ * Perfil de WhatsApp del lead en leads/{id}.profile:
+ *   { pictureUrl, pictureMediaId, pictureHash, pictureStatus, about, aboutSetAt,
+ *     isBusiness, business: { description, category, email, website, address } }
+ * La foto se copia a Storage (las URLs de WhatsApp caducan en horas) y solo
+ * se vuelve a subir cuando cambia su contenido.
+ */
+
+const PROFILE_MAX_AGE_HOURS = Number(process.env.PROFILE_MAX_AGE_HOURS || 72);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function leadJid(leadId, lead) {
+  if (String(leadId).endsWith('@s.whatsapp.net')) return leadId;
+  return toWhatsAppJid(lead.telefono, { region: lead.region });
+}
+
+// 404 = sin foto; 401 = privacidad ("mis contactos"/"nadie")
+async function fetchPicture(sock, jid, current = {}, leadId) {
+  let url = null;
+  try {
+    url = await sock.profilePictureUrl(jid, 'image', 15_000);
+  } catch (err) {
+    const code = err?.output?.statusCode ?? err?.data;
+    return { pictureStatus: code === 401 ? 'private' : 'none', pictureUrl: null, pictureMediaId: null, pictureHash: null };
+  }
+  if (!url) return { pictureStatus: 'none', pictureUrl: null, pictureMediaId: null, pictureHash: null };
+
+  const res = await axios.get(url, { responseType: 'arraybuffer', timeout: 20_000 });
+  const buffer = Buffer.from(res.data);
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+  if (hash === current.pictureHash && current.pictureMediaId) {
+    return { pictureStatus: 'ok', pictureUrl: current.pictureUrl, pictureMediaId: current.pictureMediaId, pictureHash: hash };
+  }
+
+  const safeId = String(leadId).replace(/[^\w.-]/g, '_');
+  const media = await storeMedia(buffer, {
+    path: `profiles/${safeId}-${hash.slice(0, 12)}.jpg`,
+    contentType: res.headers['content-type'] || 'image/jpeg',
+    leadId,
+    kind: 'profile_picture',
+  });
+  return { pictureStatus: 'ok', pictureUrl: media.url, pictureMediaId: media.id, pictureHash: hash };
+}
+
+async function fetchAbout(sock, jid) {
+  const [entry] = (await sock.fetchStatus(jid)) || [];
+  const st = entry?.status;
+  if (!st) return {};
+  return { about: st.status ?? null, aboutSetAt: st.setAt && +st.setAt ? st.setAt : null };
+}
+
+async function fetchBusiness(sock, jid) {
+  const biz = await sock.getBusinessProfile(jid);
+  if (!biz) return { isBusiness: false, business: null };
+  return {
+    isBusiness: true,
+    business: {
+      description: biz.description || '',
+      category: biz.category || null,
+      email: biz.email || null,
+      website: biz.website || [],
+      address: biz.address || null,
+    },
+  };
+}
+
+/**
+ * Consulta foto, info ("about") y perfil de empresa y los guarda en el lead.
+ * Cada parte falla por separado: si WhatsApp rechaza una, se conserva lo anterior.
+ * @returns {Promise<object>} profile actualizado
+ */
+export async function refreshLeadProfile(leadId) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const snap = await leadRef.get();
+  if (!snap.exists) throw new Error(`Lead no existe: ${leadId}`);
+  const lead = snap.data();
+
+  const sock = getWhatsAppSock(lead.sessionId || undefined);
+  if (!sock) throw new Error('No hay conexión activa con WhatsApp');
+  const jid = leadJid(leadId, lead);
+
+  const current = lead.profile || {};
+  const profile = { ...current };
+  const parts = [
+    ['picture', () => fetchPicture(sock, jid, current, leadId)],
+    ['about', () => fetchAbout(sock, jid)],
+    ['business', () => fetchBusiness(sock, jid)],
+  ];
+  const errors = {};
+  for (const [name, fn] of parts) {
+    try {
+      Object.assign(profile, await fn());
+    } catch (err) {
+      errors[name] = String(err?.message || err);
+    }
+  }
+
+  await leadRef.set({
+    profile,
+    profileRefreshedAt: FieldValue.serverTimestamp(),
+    profileErrors: Object.keys(errors).length ? errors : FieldValue.delete(),
+    profileRefreshError: FieldValue.delete(),
+    profileRefreshFailures: FieldValue.delete(),
+  }, { merge: true });
+  return profile;
+}
+
+/**
+ * Refresco fallido entero (sin socket, lead sin sesión…): se sella igual
+ * profileRefreshedAt para que no quede a la cabeza de la cola en cada corrida.
+ * update (no set): un lead borrado no se recrea.
+ */
+async function markRefreshFailed(leadId, err) {
+  await db.collection('leads').doc(leadId).update({
+    profileRefreshedAt: FieldValue.serverTimestamp(),
+    profileRefreshError: String(err?.message || err),
+    profileRefreshFailures: FieldValue.increment(1),
+  }).catch(e => console.warn(`[profile] no se pudo marcar el fallo de ${leadId}:`, e?.message));
+}
+
+// leads creados fuera de este servidor (formularios del front) pueden no
+// traer el campo: el relleno se repite una vez al día
+const BACKFILL_EVERY_MS = 24 * 3_600_000;
+let backfilledAt = 0;
+
+/**
+ * orderBy('profileRefreshedAt') deja fuera los docs sin el campo (leads
+ * anteriores al perfil o creados por el front): se les pone null,
+ * paginando por id.
+ * @returns {Promise<number>} leads actualizados
+ */
+async function backfillProfileRefreshedAt({ pageSize = 400 } = {}) {
+  let updated = 0;
+  let last = null;
+  for (;;) {
+    let q = db.collection('leads')
+      .orderBy(FieldPath.documentId())
+      .select('profileRefreshedAt')
+      .limit(pageSize);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    const missing = snap.docs.filter(d => d.data().profileRefreshedAt === undefined);
+    if (missing.length) {
+      const batch = db.batch();
+      missing.forEach(d => batch.update(d.ref, { profileRefreshedAt: null }));
+      await batch.commit();
+      updated += missing.length;
+    }
+    if (snap.size < pageSize) break;
+    last = snap.docs[snap.docs.length - 1].id;
+  }
+  return updated;
+}
+
+/**
+ * Refresco periódico: los leads con perfil más antiguo primero
+ * (profileRefreshedAt null = nunca). Pausa entre consultas para no
+ * saturar al servidor de WhatsApp.
+ */
+export async function refreshStaleProfiles({ limit = 50, maxAgeHours = PROFILE_MAX_AGE_HOURS } = {}) {
+  if (Date.now() - backfilledAt > BACKFILL_EVERY_MS) {
+    const n = await backfillProfileRefreshedAt();
+    if (n) console.log(`[profile] profileRefreshedAt: null en ${n} leads sin el campo`);
+    backfilledAt = Date.now();
+  }
+
+  const cutoff = Date.now() - maxAgeHours * 3_600_000;
+  const snap = await db.collection('leads')
+    .orderBy('profileRefreshedAt', 'asc')
+    .limit(limit)
+    .get();
+
+  let refreshed = 0;
+  for (const doc of snap.docs) {
+    const at = doc.data().profileRefreshedAt?.toMillis?.() ?? 0;
+    if (at > cutoff) break; // ordenados: el resto está al día
+    try {
+      await refreshLeadProfile(doc.id);
+      refreshed++;
+    } catch (err) {
+      console.warn(`[profile] ${doc.id}:`, err?.message);
+      await markRefreshFailed(doc.id, err);
+    }
+    await sleep(1500);
+  }
+  return refreshed;
+}
@@ -0,0 +1,273 @@
+// mediaService.js
+import crypto from 'crypto';
+import { db, admin } from './firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+const bucket = admin.storage().bucket();
+const mediaColl = db.collection('media');
+
+/**
+ * Archivos en Storage sin URLs permanentes ni objetos públicos.
+ * Firestore solo guarda la ruta (media/{id}.path) y el resto del sistema
+ * referencia `/api/media/{id}`, que valida acceso en cada petición.
+ *
+ * Reglas por objeto (media/{id}.access):
+ *   'private' (default) → usuario del CRM (Firebase ID token) o link firmado vigente
+ *   'staff'             → solo usuario del CRM (sin links firmados)
+ *   'public'            → cualquiera
+ * allowedUids (opcional) restringe además qué usuarios del CRM pueden verlo.
+ *
+ * Los campos de Firestore (mediaUrl, thumbnailUrl, fullUrl, clipUrl…) guardan
+ * solo la ruta; quien los muestra en <img>/<audio> pide un link de vida corta
+ * al leerlos (/api/media/{id}/link o /api/media/links).
+ */
+
+export const MEDIA_ACCESS = ['private', 'staff', 'public'];
+export const MEDIA_FORBIDDEN = 'MEDIA_FORBIDDEN';
+
+const LINK_TTL_SEC = Number(process.env.MEDIA_LINK_TTL_SEC || 15 * 60);
+const SIGNED_URL_TTL_SEC = Number(process.env.MEDIA_SIGNED_URL_TTL_SEC || 15 * 60);
+
+function signingSecret() {
+  const secret = process.env.MEDIA_SIGNING_SECRET;
+  if (!secret) throw new Error('Falta MEDIA_SIGNING_SECRET');
+  return secret;
+}
+
+function forbidden(message, status = 403) {
+  const err = new Error(message);
+  err.code = MEDIA_FORBIDDEN;
+  err.status = status;
+  return err;
+}
+
+/** Ruta de la API para un media (lo que se guarda en mediaUrl, thumbnailUrl…) */
+export function mediaPath(id) {
+  return `/api/media/${id}`;
+}
+
+/** Id del media a partir de un valor guardado (/api/media/{id}, absoluto o con query), o null */
+export function mediaIdFromUrl(value) {
+  const m = /(?:^|\/)api\/media\/([A-Za-z0-9_-]+)(?:[/?#]|$)/.exec(String(value || ''));
+  return m ? m[1] : null;
+}
+
+/* ------------------------------- alta -------------------------------- */
+
+/**
+ * Sube un buffer y registra su doc en `media`.
+ * @returns {Promise<{ id, path, url }>} url = /api/media/{id}
+ */
+export async function storeMedia(buffer, { path, contentType, leadId = null, kind = null, access = 'private', extra = {} }) {
+  await bucket.file(path).save(buffer, { contentType, resumable: false });
+  return registerMedia(path, { contentType, size: buffer.length, leadId, kind, access, extra });
+}
+
+/** Igual que storeMedia pero desde un archivo local */
+export async function storeMediaFile(localPath, { path, contentType, leadId = null, kind = null, access = 'private', extra = {} }) {
+  const [file] = await bucket.upload(localPath, { destination: path, metadata: { contentType } });
+  return registerMedia(path, {
+    contentType,
+    size: Number(file.metadata?.size || 0),
+    leadId,
+    kind,
+    access,
+    extra,
+  });
+}
+
+/** Registra un objeto ya existente en Storage */
+export async function registerMedia(path, { contentType, size = null, leadId = null, kind = null, access = 'private', extra = {} }) {
+  if (!MEDIA_ACCESS.includes(access)) throw new Error(`access inválido: ${access}`);
+  const ref = mediaColl.doc();
+  await ref.set({
+    ...extra,
+    path,
+    contentType: contentType || 'application/octet-stream',
+    size,
+    leadId,
+    kind,
+    access,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { id: ref.id, path, url: mediaPath(ref.id) };
+}
+
+export async function getMedia(id) {
+  const snap = await mediaColl.doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+export async function updateMediaAccess(id, { access, allowedUids } = {}) {
+  const upd = { updatedAt: FieldValue.serverTimestamp() };
+  if (access !== undefined) {
+    if (!MEDIA_ACCESS.includes(access)) throw new Error(`access debe ser ${MEDIA_ACCESS.join(', ')}`);
+    upd.access = access;
+  }
+  if (allowedUids !== undefined) {
+    upd.allowedUids = Array.isArray(allowedUids) ? allowedUids.map(String) : FieldValue.delete();
+  }
+  await mediaColl.doc(id).update(upd);
+  return getMedia(id);
+}
+
+/* --------------------------- URLs temporales --------------------------- */
+
+function linkSignature(id, exp) {
+  return crypto.createHmac('sha256', signingSecret()).update(`${id}.${exp}`).digest('base64url');
+}
+
+/** Link propio firmado y de vida corta (para <img>/<audio> sin headers) */
+export function signMediaLink(id, ttlSec = LINK_TTL_SEC) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  return {
+    url: `${mediaPath(id)}?exp=${exp}&sig=${linkSignature(id, exp)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+function validLinkSignature(id, { exp, sig } = {}) {
+  if (!exp || !sig) return false;
+  if (Number(exp) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(linkSignature(id, exp));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * URL firmada de Storage de vida corta. Para quien descarga fuera del CRM
+ * (p. ej. Baileys al enviar por WhatsApp o el proxy de /escuchar).
+ */
+export async function signedStorageUrl(path, ttlSec = SIGNED_URL_TTL_SEC) {
+  const [url] = await bucket.file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: Date.now() + ttlSec * 1000,
+  });
+  return url;
+}
+
+/** Igual que signedStorageUrl, resolviendo la ruta desde media/{id} */
+export async function signedUrlForMedia(id, ttlSec = SIGNED_URL_TTL_SEC) {
+  const media = await getMedia(id);
+  if (!media) throw new Error(`media no existe: ${id}`);
+  return signedStorageUrl(media.path, ttlSec);
+}
+
+/**
+ * URL descargable de un archivo referenciado en un doc por `${field}Path`
+ * (nuevo) o `${field}Url` (docs anteriores con URL pública/permanente).
+ * Ej.: resolveFileUrl(musica, 'clip') → clipPath | clipUrl
+ */
+export async function resolveFileUrl(data, field) {
+  const path = data?.[`${field}Path`];
+  if (path) return signedStorageUrl(path);
+  return data?.[`${field}Url`] || null;
+}
+
+/* ------------------------------ acceso -------------------------------- */
+
+async function verifyStaff(req) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return null;
+  try {
+    return await admin.auth().verifyIdToken(token);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Aplica las reglas del objeto a la petición. Lanza MEDIA_FORBIDDEN
+ * (err.status 401/403) si no puede verlo.
+ * @returns {Promise<{ via: 'public'|'link'|'staff', uid?: string }>}
+ */
+export async function authorizeMediaRequest(req, media) {
+  if (media.access === 'public') return { via: 'public' };
+
+  if (media.access !== 'staff' && validLinkSignature(media.id, req.query)) return { via: 'link' };
+
+  const user = await verifyStaff(req);
+  if (!user) throw forbidden('Autenticación requerida', 401);
+  if (Array.isArray(media.allowedUids) && media.allowedUids.length && !media.allowedUids.includes(user.uid)) {
+    throw forbidden('Sin acceso a este archivo');
+  }
+  return { via: 'staff', uid: user.uid };
+}
+
+/** Middleware para rutas de administración de media: exige usuario del CRM */
+export async function requireStaff(req, res, next) {
+  const user = await verifyStaff(req);
+  if (!user) return res.status(401).json({ error: 'Autenticación requerida' });
+  req.user = user;
+  next();
+}
+
+/* ------------------------------ entrega ------------------------------- */
+
+/** "bytes=start-end" → { start, end } o null si no aplica / es inválido */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || !size) return null;
+  let start = m[1] === '' ? null : Number(m[1]);
+  let end = m[2] === '' ? null : Number(m[2]);
+  if (start === null && end === null) return null;
+  if (start === null) { // sufijo: últimos N bytes
+    start = Math.max(0, size - end);
+    end = size - 1;
+  } else {
+    end = end === null ? size - 1 : Math.min(end, size - 1);
+  }
+  if (start > end || start >= size) return { invalid: true };
+  return { start, end };
+}
+
+/**
+ * Envía el objeto a la respuesta con soporte de Range (206) para que
+ * audio/video se puedan adelantar sin descargar todo.
+ */
+export async function streamMedia(req, res, media) {
+  const file = bucket.file(media.path);
+  let size = Number(media.size || 0);
+  if (!size) {
+    const [meta] = await file.getMetadata();
+    size = Number(meta.size || 0);
+  }
+
+  res.set({
+    'Content-Type': media.contentType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': media.access === 'public' ? 'public, max-age=3600' : 'private, no-store',
+  });
+  if (req.query.download) {
+    res.set('Content-Disposition', `attachment; filename="${String(media.path).split('/').pop()}"`);
+  }
+
+  const range = parseRange(req.get('Range'), size);
+  if (range?.invalid) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': String(range.end - range.start + 1),
+    });
+  } else if (size) {
+    res.set('Content-Length', String(size));
+  }
+  if (req.method === 'HEAD') return res.end();
+
+  const stream = range
+    ? file.createReadStream({ start: range.start, end: range.end })
+    : file.createReadStream();
+
+  stream.on('error', (err) => {
+    console.error(`[media] error leyendo ${media.path}:`, err?.message);
+    if (!res.headersSent) res.status(500).end();
+    else res.destroy(err);
+  });
+  stream.pipe(res);
+}
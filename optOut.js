@@ -0,0 +1,149 @@
+// optOut.js
+import { db, admin } from './firebaseAdmin.js';
+import { cancelAllSequences } from './queue.js';
+import { sendMessageToLead } from './whatsappService.js';
+
+const { FieldValue } = admin.firestore;
+
+export const OPTED_OUT = 'OPTED_OUT';
+const CACHE_MS = 60_000;
+
+/**
+ * Palabras clave por idioma. Se pueden sobreescribir en config/optOut
+ * con la misma forma: { languages: { es: { stop: [], start: [], confirmStop, confirmStart } } }
+ */
+const DEFAULT_CONFIG = {
+  languages: {
+    en: {
+      stop: ['STOP', 'UNSUBSCRIBE', 'STOPALL', 'END', 'QUIT'],
+      start: ['START', 'UNSTOP', 'SUBSCRIBE'],
+      confirmStop: 'You have been unsubscribed and will not receive more automated messages. Reply START to opt back in.',
+      confirmStart: 'You are subscribed again. Reply STOP at any time to unsubscribe.'
+    },
+    es: {
+      stop: ['BAJA', 'CANCELAR', 'DETENER', 'ALTO'],
+      start: ['ALTA', 'INICIAR', 'REANUDAR'],
+      confirmStop: 'Listo, ya no recibirás mensajes automáticos. Si cambias de opinión responde ALTA.',
+      confirmStart: '¡Bienvenido de vuelta! Responde BAJA en cualquier momento para dejar de recibir mensajes.'
+    }
+  }
+};
+
+let cache = { at: 0, cfg: null };
+
+/* ----------------------------- utilidades ------------------------------ */
+// "Stop!" / " baja. " / "Cancelár" → "STOP" / "BAJA" / "CANCELAR"
+function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '')
+    .toUpperCase();
+}
+
+async function loadOptOutConfig() {
+  if (cache.cfg && Date.now() - cache.at < CACHE_MS) return cache.cfg;
+  const snap = await db.collection('config').doc('optOut').get();
+  const custom = snap.exists ? snap.data() : {};
+  const cfg = {
+    languages: { ...DEFAULT_CONFIG.languages, ...(custom.languages || {}) }
+  };
+  cache = { at: Date.now(), cfg };
+  return cfg;
+}
+
+/** Error que lanzan los envíos a leads dados de baja (err.code === OPTED_OUT) */
+export function optOutError(leadId) {
+  const err = new Error(`Lead dado de baja (opt-out): ${leadId}`);
+  err.code = OPTED_OUT;
+  return err;
+}
+
+export function isOptedOut(lead) {
+  return !!lead?.optedOut;
+}
+
+/* ----------------------------- detección ------------------------------- */
+
+/**
+ * ¿El texto es una palabra clave de baja/alta? Solo mensajes que son
+ * exactamente la palabra (ignora mayúsculas, acentos y signos), para no
+ * dar de baja a quien escribe "no quiero cancelar la canción".
+ * @returns {Promise<{ action: 'stop'|'start', language: string, keyword: string }|null>}
+ */
+export async function detectOptKeyword(text) {
+  const kw = normalizeKeyword(text);
+  if (!kw || kw.length > 20) return null;
+
+  const { languages } = await loadOptOutConfig();
+  for (const [language, def] of Object.entries(languages)) {
+    if ((def.stop || []).some(k => normalizeKeyword(k) === kw)) return { action: 'stop', language, keyword: kw };
+    if ((def.start || []).some(k => normalizeKeyword(k) === kw)) return { action: 'start', language, keyword: kw };
+  }
+  return null;
+}
+
+/* ------------------------------ acciones ------------------------------- */
+
+export async function optOutLead(leadId, { language = 'es', keyword = null, source = 'whatsapp', confirm = true } = {}) {
+  const leadRef = db.collection('leads').doc(leadId);
+  await leadRef.set({
+    optedOut: true,
+    optedOutAt: FieldValue.serverTimestamp(),
+    optOutKeyword: keyword,
+    optOutSource: source,
+    optOutLanguage: language
+  }, { merge: true });
+
+  const cancelled = await cancelAllSequences(leadId);
+  console.log(`🚫 opt-out ${leadId} (${keyword || source}) → ${cancelled} jobs cancelados`);
+
+  if (confirm) await sendConfirmation(leadId, language, 'confirmStop');
+  return { cancelled };
+}
+
+export async function optInLead(leadId, { language = 'es', keyword = null, source = 'whatsapp', confirm = true } = {}) {
+  await db.collection('leads').doc(leadId).set({
+    optedOut: false,
+    optedInAt: FieldValue.serverTimestamp(),
+    optInKeyword: keyword,
+    optInSource: source
+  }, { merge: true });
+
+  console.log(`✅ opt-in ${leadId} (${keyword || source})`);
+  if (confirm) await sendConfirmation(leadId, language, 'confirmStart');
+}
+
+async function sendConfirmation(leadId, language, field) {
+  try {
+    const { languages } = await loadOptOutConfig();
+    const text = languages[language]?.[field] || DEFAULT_CONFIG.languages.es[field];
+    const lead = (await db.collection('leads').doc(leadId).get()).data() || {};
+    if (!lead.telefono || !text) return;
+    // la confirmación de baja es el único mensaje permitido a un lead suprimido
+    await sendMessageToLead(lead.telefono, text, {
+      sessionId: lead.sessionId || undefined,
+      region: lead.region || undefined,
+      overrideOptOut: true,
+      priority: 'system'
+    });
+  } catch (err) {
+    console.error(`Error enviando confirmación ${field} a ${leadId}:`, err);
+  }
+}
+
+/**
+ * Punto de entrada desde messages.upsert (texto del lead).
+ * @returns {Promise<'stop'|'start'|null>} acción aplicada
+ */
+export async function handleOptKeywords(leadId, text) {
+  const hit = await detectOptKeyword(text);
+  if (!hit) return null;
+
+  const lead = (await db.collection('leads').doc(leadId).get()).data() || {};
+  if (hit.action === 'stop' && !lead.optedOut) {
+    await optOutLead(leadId, { language: hit.language, keyword: hit.keyword });
+  } else if (hit.action === 'start' && lead.optedOut) {
+    await optInLead(leadId, { language: hit.language, keyword: hit.keyword });
+  }
+  return hit.action;
+}
@@ -0,0 +1,180 @@
+// outboundLimiter.js
+import { db, admin } from './firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+
+/**
+ * Planificador único de envíos salientes (por sesión/número).
+ * Todos los helpers de whatsappService pasan por aquí:
+ *   - límite por segundo y por minuto (ventana deslizante)
+ *   - tope diario de conversaciones nuevas (jid sin actividad en 24 h)
+ *   - prioridad: manual (agente) > system > bulk (secuencias, crons)
+ * Los envíos de una misma sesión salen de uno en uno, en orden de prioridad.
+ */
+
+export const RATE_LIMITED = 'RATE_LIMITED';
+export const PRIORITIES = { manual: 0, system: 1, bulk: 2 };
+
+const LIMITS = {
+  perSecond: Number(process.env.WA_RATE_PER_SECOND || 1),
+  perMinute: Number(process.env.WA_RATE_PER_MINUTE || 30),
+  newConversationsPerDay: Number(process.env.WA_NEW_CONVERSATIONS_PER_DAY || 250),
+};
+const CONVERSATION_MS = 24 * 60 * 60 * 1000;
+
+const limiters = new Map();
+let seq = 0;
+
+function today() {
+  return new Date().toISOString().slice(0, 10); // día UTC
+}
+
+function nextUtcMidnight() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+}
+
+function limiterFor(sessionId) {
+  if (!limiters.has(sessionId)) {
+    limiters.set(sessionId, {
+      sessionId,
+      queue: [],        // { seq, priority, task, jid, newConversation, enqueuedAt, resolve, reject }
+      sentAt: [],       // timestamps del último minuto
+      running: false,
+      timer: null,
+      contacted: new Map(), // jid → último envío (ms)
+      daily: null,      // { day, newConversations }
+    });
+  }
+  return limiters.get(sessionId);
+}
+
+/** Contador diario persistido en whatsappSessions/{id} para sobrevivir reinicios */
+async function loadDaily(lim) {
+  const day = today();
+  if (lim.daily?.day === day) return lim.daily;
+  let count = 0;
+  try {
+    const snap = await db.collection('whatsappSessions').doc(lim.sessionId).get();
+    const saved = snap.data()?.outboundDaily;
+    if (saved?.day === day) count = Number(saved.newConversations || 0);
+  } catch (err) {
+    console.warn('[outbound] no se pudo leer contador diario:', err.message);
+  }
+  lim.daily = { day, newConversations: count };
+  return lim.daily;
+}
+
+function saveDaily(lim) {
+  db.collection('whatsappSessions').doc(lim.sessionId).set({
+    outboundDaily: { ...lim.daily, updatedAt: FieldValue.serverTimestamp() }
+  }, { merge: true }).catch(err => console.warn('[outbound] no se pudo guardar contador diario:', err.message));
+}
+
+function rateLimitError(message, retryAt) {
+  const err = new Error(message);
+  err.code = RATE_LIMITED;
+  err.retryAt = retryAt;
+  return err;
+}
+
+/** ms a esperar antes del siguiente envío según perSecond/perMinute */
+function waitMs(lim, at) {
+  lim.sentAt = lim.sentAt.filter(t => at - t < 60_000);
+  const lastSecond = lim.sentAt.filter(t => at - t < 1000);
+
+  let wait = 0;
+  if (lastSecond.length >= LIMITS.perSecond) wait = Math.max(wait, lastSecond[0] + 1000 - at);
+  if (lim.sentAt.length >= LIMITS.perMinute) wait = Math.max(wait, lim.sentAt[0] + 60_000 - at);
+  return wait;
+}
+
+function isNewConversation(lim, item, at) {
+  if (!item.newConversation) return false;
+  const last = lim.contacted.get(item.jid);
+  return !last || at - last > CONVERSATION_MS;
+}
+
+async function pump(lim) {
+  if (lim.running || lim.timer || !lim.queue.length) return;
+
+  const wait = waitMs(lim, Date.now());
+  if (wait > 0) {
+    lim.timer = setTimeout(() => { lim.timer = null; pump(lim); }, wait);
+    return;
+  }
+
+  lim.running = true;
+  const item = lim.queue.shift();
+  try {
+    const at = Date.now();
+    const daily = isNewConversation(lim, item, at) ? await loadDaily(lim) : null;
+    if (daily) {
+      if (daily.newConversations >= LIMITS.newConversationsPerDay) {
+        throw rateLimitError(
+          `Tope diario de conversaciones nuevas alcanzado (${LIMITS.newConversationsPerDay}) en sesión ${lim.sessionId}`,
+          nextUtcMidnight()
+        );
+      }
+    }
+
+    lim.sentAt.push(at);
+    const result = await item.task();
+
+    // solo un envío que salió consume cupo / abre conversación
+    // (la cola es secuencial por sesión: nadie más pasó el chequeo entre tanto)
+    if (daily) {
+      daily.newConversations += 1;
+      saveDaily(lim);
+    }
+    if (item.jid) lim.contacted.set(item.jid, at);
+    item.resolve(result);
+  } catch (err) {
+    item.reject(err);
+  } finally {
+    lim.running = false;
+    if (lim.contacted.size > 20_000) lim.contacted.clear();
+    pump(lim);
+  }
+}
+
+/**
+ * Encola un envío. `task` es la función que realmente llama a sock.sendMessage;
+ * la promesa resuelve/rechaza con su resultado.
+ * @param {string} sessionId
+ * @param {() => Promise<any>} task
+ * @param {{ priority?: 'manual'|'system'|'bulk', jid?: string, newConversation?: boolean }} opts
+ */
+export function scheduleSend(sessionId, task, { priority = 'bulk', jid = null, newConversation = false } = {}) {
+  const lim = limiterFor(sessionId);
+  const rank = PRIORITIES[priority] ?? PRIORITIES.bulk;
+
+  return new Promise((resolve, reject) => {
+    const item = { seq: ++seq, priority: rank, task, jid, newConversation, enqueuedAt: Date.now(), resolve, reject };
+    // FIFO dentro de la misma prioridad
+    const pos = lim.queue.findIndex(q => q.priority > rank);
+    if (pos === -1) lim.queue.push(item);
+    else lim.queue.splice(pos, 0, item);
+    pump(lim);
+  });
+}
+
+/** Backlog actual por sesión (para /api/whatsapp/outbound) */
+export function getOutboundBacklog() {
+  const at = Date.now();
+  const names = Object.keys(PRIORITIES);
+  const sessionsOut = [...limiters.values()].map(lim => {
+    const byPriority = Object.fromEntries(names.map(n => [n, 0]));
+    lim.queue.forEach(q => { byPriority[names[q.priority]] += 1; });
+    return {
+      sessionId: lim.sessionId,
+      queued: lim.queue.length,
+      byPriority,
+      sending: lim.running,
+      oldestWaitMs: lim.queue.length ? at - Math.min(...lim.queue.map(q => q.enqueuedAt)) : 0,
+      sentLastMinute: lim.sentAt.filter(t => at - t < 60_000).length,
+      newConversationsToday: lim.daily?.day === today() ? lim.daily.newConversations : null,
+    };
+  });
+  return { limits: { ...LIMITS }, sessions: sessionsOut };
+}
@@ -1,14 +1,202 @@
 // queue.js
+import os from 'os';
+import crypto from 'crypto';
 import { db, admin } from './firebaseAdmin.js';
 import {
   sendMessageToLead,
   sendClipMessage,
-  getWhatsAppSock,
-  sendVideoNote
+  sendVideoNote,
+  sendMediaFromUrl
 } from './whatsappService.js';
+import { OPTED_OUT, isOptedOut, optOutError } from './optOut.js';
+import { RATE_LIMITED } from './outboundLimiter.js';
+import { publishEvent, EVENT_TYPES } from './events.js';
+import { leadTimezone } from './utils/timezone.js';
+import { nextAllowedSlot } from './utils/sendWindow.js';
+import { ACTION_TYPES, stepPayload, resolveStepTarget, evaluateConditions } from './sequenceSteps.js';
 
 const { FieldValue } = admin.firestore;
 
+/* ------------------------------ reintentos ------------------------------ */
+// Errores transitorios (sin socket, timeouts de Baileys, 5xx…) se reintentan
+// con backoff exponencial; los permanentes o agotados pasan a status 'dead'.
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.QUEUE_RETRY_BASE_MS || 60_000);
+const RETRY_MAX_MS = Number(process.env.QUEUE_RETRY_MAX_MS || 6 * 60 * 60 * 1000);
+
+export const LEAD_MISSING = 'LEAD_MISSING';
+export const PHONE_MISSING = 'PHONE_MISSING';
+export const JOB_NOT_FOUND = 'JOB_NOT_FOUND';
+export const JOB_NOT_DEAD = 'JOB_NOT_DEAD';
+export const STEP_NOT_FOUND = 'STEP_NOT_FOUND';
+export const TOO_MANY_JUMPS = 'TOO_MANY_JUMPS';
+
+const PERMANENT_CODES = [LEAD_MISSING, PHONE_MISSING, STEP_NOT_FOUND, TOO_MANY_JUMPS];
+
+// jobs que aún no salieron y que reprogramar / cancelar debe tocar
+// ('paused' = congelado por un agente, ver pauseLeadSequences)
+export const OPEN_STATUSES = ['pending', 'paused'];
+
+// saltos (goto) por corrida de secuencia: corta bucles mal configurados
+const MAX_JUMPS = Number(process.env.QUEUE_MAX_JUMPS || 20);
+// Boom de Baileys: 408 timeout, 428 conexión cerrada, 440 reemplazada, 5xx
+// (y 425/429 de la descarga por axios)
+const TRANSIENT_STATUS = [408, 425, 428, 429, 440];
+// errores de red de Node / axios
+const TRANSIENT_NET_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED', 'EPIPE'];
+
+function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * true si vale la pena reintentar el envío más tarde. Lista explícita:
+ * sin socket, Boom/HTTP transitorios y errores de red. Todo lo demás
+ * (contenido inválido, bugs, códigos propios) va directo a 'dead'.
+ */
+function isTransientError(err) {
+  if (PERMANENT_CODES.includes(err?.code)) return false;
+  if (err?.code === RATE_LIMITED) return true; // processQueue lo trata aparte
+  if (TRANSIENT_NET_CODES.includes(err?.code)) return true;
+  // sendLimited / resolveTarget sin socket (reconectando)
+  if (String(err?.message || '').startsWith('No hay conexión activa')) return true;
+  // axios (descarga de la URL del paso) o Boom de Baileys
+  const status = err?.response?.status ?? err?.output?.statusCode;
+  return !!status && (status >= 500 || TRANSIENT_STATUS.includes(status));
+}
+
+/* ------------------------------- leases -------------------------------- */
+// Un worker toma el job (status 'processing' + lockedBy + lockExpiresAt) en una
+// transacción antes de enviarlo; si muere a medias, el lease vence y otro lo recupera.
+const WORKER_ID = process.env.QUEUE_WORKER_ID
+  || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const LEASE_MS = Number(process.env.QUEUE_LEASE_MS || 5 * 60_000);
+
+// Reparto por shard (0–9): QUEUE_WORKER_COUNT workers, este es QUEUE_WORKER_INDEX
+const SHARD_COUNT = 10;
+const WORKER_COUNT = Math.max(1, Number(process.env.QUEUE_WORKER_COUNT || 1));
+const WORKER_INDEX = Number(process.env.QUEUE_WORKER_INDEX || 0);
+
+// un índice fuera de rango dejaría al worker sin shards (where 'in' []): se corta al arrancar
+if (!Number.isInteger(WORKER_COUNT) || WORKER_COUNT > SHARD_COUNT
+  || !Number.isInteger(WORKER_INDEX) || WORKER_INDEX < 0 || WORKER_INDEX >= WORKER_COUNT) {
+  throw new Error(
+    `[queue] QUEUE_WORKER_INDEX=${process.env.QUEUE_WORKER_INDEX} / QUEUE_WORKER_COUNT=${process.env.QUEUE_WORKER_COUNT} inválidos: `
+    + `se requiere 0 <= índice < workers <= ${SHARD_COUNT}`
+  );
+}
+
+/** Shards que atiende este worker (null = todos) */
+function workerShards() {
+  if (WORKER_COUNT <= 1) return null;
+  return Array.from({ length: SHARD_COUNT }, (_, i) => i).filter(i => i % WORKER_COUNT === WORKER_INDEX);
+}
+
+// campos para soltar el lease en cualquier update de cierre
+function releaseLease() {
+  return { lockedBy: FieldValue.delete(), lockExpiresAt: FieldValue.delete() };
+}
+
+/**
+ * Renueva el lease del job si sigue siendo de este worker.
+ * false = lo recuperó otro (venció mientras esperaba): no se debe enviar.
+ */
+async function extendLease(job) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(job.ref);
+    const d = snap.data() || {};
+    if (d.status !== 'processing' || d.lockedBy !== WORKER_ID) return false;
+    tx.update(job.ref, { lockExpiresAt: new Date(Date.now() + LEASE_MS) });
+    return true;
+  });
+}
+
+/**
+ * Corre fn() renovando el lease cada LEASE_MS/3: la espera en el limitador
+ * y la presencia simulada pueden pasar de LEASE_MS.
+ */
+async function withLease(job, fn) {
+  const timer = setInterval(() => {
+    extendLease(job)
+      .then(ok => { if (!ok) console.warn(`[queue] lease perdido durante el envío: ${job.id}`); })
+      .catch(err => console.warn(`[queue] no se pudo renovar el lease ${job.id}:`, err?.message));
+  }, Math.max(1000, Math.floor(LEASE_MS / 3)));
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+/**
+ * Toma el job si sigue pendiente y vencido. Devuelve los datos frescos
+ * o null si otro worker lo tomó / cambió mientras tanto.
+ */
+async function claimJob(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const d = snap.data();
+    const dueMs = d.dueAt?.toMillis?.() ?? +new Date(d.dueAt);
+    if (d.status !== 'pending' || dueMs > Date.now()) return null;
+    const lease = {
+      status: 'processing',
+      lockedBy: WORKER_ID,
+      lockExpiresAt: new Date(Date.now() + LEASE_MS),
+      claimedAt: FieldValue.serverTimestamp()
+    };
+    tx.update(ref, lease);
+    return { id: snap.id, ref, ...d, ...lease };
+  });
+}
+
+/**
+ * Devuelve a 'pending' los jobs con lease vencido (worker caído o colgado).
+ * Cuenta como intento: el envío pudo haber salido, y un job que tumba al
+ * worker una y otra vez acaba en 'dead'.
+ */
+async function reclaimExpiredLeases({ limit = 100 } = {}) {
+  const snap = await db.collection('sequenceQueue')
+    .where('status', '==', 'processing')
+    .where('lockExpiresAt', '<=', new Date())
+    .limit(limit)
+    .get();
+
+  let reclaimed = 0;
+  for (const doc of snap.docs) {
+    const ok = await db.runTransaction(async (tx) => {
+      const cur = await tx.get(doc.ref);
+      const d = cur.data() || {};
+      const expMs = d.lockExpiresAt?.toMillis?.() ?? +new Date(d.lockExpiresAt);
+      if (d.status !== 'processing' || expMs > Date.now()) return false;
+
+      const attempts = Number(d.attempts || 0) + 1;
+      const exhausted = attempts >= Number(d.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+      tx.update(doc.ref, {
+        ...releaseLease(),
+        status: exhausted ? 'dead' : 'pending',
+        attempts,
+        reclaims: FieldValue.increment(1),
+        lastReclaimedFrom: d.lockedBy || null,
+        lastError: 'leaseExpired',
+        ...(exhausted ? { deadAt: FieldValue.serverTimestamp(), deadReason: 'leaseExpired' } : {})
+      });
+      return true;
+    });
+    if (ok) reclaimed++;
+  }
+  if (reclaimed) console.warn(`[queue] ${reclaimed} jobs con lease vencido recuperados`);
+  return reclaimed;
+}
+
+/** Espera antes del intento n+1 (n = fallos acumulados), con jitter 50–100 % */
+function retryDelayMs(attempts) {
+  const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exp * (0.5 + Math.random() * 0.5));
+}
+
 /* ----------------------------- utilidades ------------------------------ */
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -27,28 +215,23 @@ function replacePlaceholders(template, lead) {
   });
 }
 
-/* -------------------- programar / cancelar secuencias ------------------- */
+/* --------------------------- ventanas de envío -------------------------- */
+
+async function loadGlobalConfig() {
+  const snap = await db.collection('config').doc('appConfig').get();
+  return snap.exists ? snap.data() : {};
+}
 
 /**
- * Programa todos los mensajes de la secuencia "trigger" para un lead.
- * - Limpia previamente jobs pendientes del mismo trigger (idempotencia).
- * - Conserva el orden del front mediante el índice `idx`.
- * - Añade un jitter de idx*250ms a dueAt para romper empates del mismo minuto.
+ * Ventana efectiva: la de la secuencia si la define (false = sin límite),
+ * si no la global (config/appConfig.sendWindow).
  */
-export async function scheduleSequenceForLead(leadId, trigger, startAt = new Date()) {
-  // 0) limpiar pendientes del mismo trigger para este lead
-  const oldSnap = await db.collection('sequenceQueue')
-    .where('leadId', '==', leadId)
-    .where('trigger', '==', trigger)
-    .where('status', '==', 'pending')
-    .get();
-
-  if (!oldSnap.empty) {
-    const bdel = db.batch();
-    oldSnap.forEach(d => bdel.delete(d.ref));
-    await bdel.commit();
-  }
+function effectiveSendWindow(seqData, globalCfg) {
+  if (seqData && seqData.sendWindow !== undefined) return seqData.sendWindow || null;
+  return globalCfg?.sendWindow || null;
+}
 
+async function loadSequence(trigger) {
   // 1) intenta doc por id
   let seqDoc = await db.collection('secuencias').doc(trigger).get();
 
@@ -61,38 +244,118 @@ export async function scheduleSequenceForLead(leadId, trigger, startAt = new Dat
     if (!q.empty) seqDoc = q.docs[0];
   }
 
-  if (!seqDoc.exists) {
-    console.warn(`[scheduleSequenceForLead] No existe secuencias/${trigger}`);
-    return 0;
-  }
-
-  const data = seqDoc.data() || {};
-  const active = data.active !== false;
-  const messages = Array.isArray(data.messages) ? data.messages : [];
+  return seqDoc.exists ? seqDoc : null;
+}
 
-  if (!active || messages.length === 0) return 0;
+/* -------------------- programar / cancelar secuencias ------------------- */
 
-  const batch = db.batch();
-  const startMs = new Date(startAt).getTime();
+/**
+ * Encola los pasos messages[fromIdx..] de una corrida (runId) de la secuencia.
+ * dueAt = startMs + delay del paso (minutos desde el inicio), con la ventana
+ * de envío aplicada. Devuelve cuántos jobs añadió al batch.
+ */
+function enqueueSteps(batch, { leadId, trigger, data, fromIdx = 0, startMs, runId, startedAt, jumps = 0, tz, sendWindow }) {
+  const messages = data.messages;
+  let n = 0;
 
-  messages.forEach((m, idx) => {
+  for (let idx = fromIdx; idx < messages.length; idx++) {
+    const m = messages[idx] || {};
     const delayMin = Number(m.delay || 0);
     // Jitter de 250ms por posición para mantener orden dentro del mismo minuto
-    const dueAt = new Date(startMs + delayMin * 60_000 + idx * 250);
+    const rawDueAt = new Date(startMs + delayMin * 60_000 + idx * 250);
+    const slot = nextAllowedSlot(rawDueAt, sendWindow, tz);
+    const deferred = slot.getTime() > rawDueAt.getTime();
+    const dueAt = deferred ? new Date(slot.getTime() + idx * 250) : rawDueAt;
+
+    // humanize: el del paso manda sobre el de la secuencia
+    const humanize = m.humanize ?? data.humanize;
+
     const ref = db.collection('sequenceQueue').doc();
     batch.set(ref, {
       leadId,
       trigger,
       idx, // ← orden dado por el front
+      runId,
+      startedAt,
+      stepDelay: delayMin,
+      ...(jumps ? { jumps } : {}),
       payload: {
         type: m.type || 'texto',
-        contenido: m.contenido || ''
+        contenido: m.contenido || '',
+        ...(humanize !== undefined ? { humanize } : {}),
+        ...stepPayload(m)
       },
       dueAt,
+      // dueAt original (sin ventana) para reportes
+      originalDueAt: rawDueAt,
+      ...(deferred ? { deferredReason: 'sendWindow', timezone: tz } : {}),
       status: 'pending',
+      attempts: 0,
+      maxAttempts: Number(m.maxAttempts ?? data.maxAttempts ?? DEFAULT_MAX_ATTEMPTS),
+      nextAttemptAt: null,
       shard: Math.floor(Math.random() * 10),
       createdAt: FieldValue.serverTimestamp()
     });
+    n++;
+  }
+  return n;
+}
+
+// zona horaria y ventana de envío para encolar pasos de un lead
+async function enqueueContext(leadId, seqData) {
+  const leadSnap = await db.collection('leads').doc(leadId).get();
+  return {
+    tz: leadTimezone(leadSnap.data() || {}),
+    sendWindow: effectiveSendWindow(seqData, await loadGlobalConfig())
+  };
+}
+
+/**
+ * Programa todos los mensajes de la secuencia "trigger" para un lead.
+ * - Limpia previamente jobs pendientes del mismo trigger (idempotencia).
+ * - Conserva el orden del front mediante el índice `idx`.
+ * - Añade un jitter de idx*250ms a dueAt para romper empates del mismo minuto.
+ * - Todos los pasos se encolan ya; las condiciones se evalúan al enviar.
+ */
+export async function scheduleSequenceForLead(leadId, trigger, startAt = new Date()) {
+  // 0) limpiar pendientes (y pausados) del mismo trigger para este lead
+  const oldSnap = await db.collection('sequenceQueue')
+    .where('leadId', '==', leadId)
+    .where('trigger', '==', trigger)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+
+  if (!oldSnap.empty) {
+    const bdel = db.batch();
+    oldSnap.forEach(d => bdel.delete(d.ref));
+    await bdel.commit();
+  }
+
+  const seqDoc = await loadSequence(trigger);
+  if (!seqDoc) {
+    console.warn(`[scheduleSequenceForLead] No existe secuencias/${trigger}`);
+    return 0;
+  }
+
+  const data = seqDoc.data() || {};
+  const active = data.active !== false;
+  const messages = Array.isArray(data.messages) ? data.messages : [];
+
+  if (!active || messages.length === 0) return 0;
+
+  // ventana de envío en la zona horaria del lead
+  const { tz, sendWindow } = await enqueueContext(leadId, data);
+
+  const batch = db.batch();
+  const n = enqueueSteps(batch, {
+    leadId,
+    trigger,
+    data: { ...data, messages },
+    startMs: new Date(startAt).getTime(),
+    runId: crypto.randomUUID(),
+    startedAt: new Date(startAt),
+    tz,
+    sendWindow
   });
 
   await batch.commit();
@@ -102,18 +365,18 @@ export async function scheduleSequenceForLead(leadId, trigger, startAt = new Dat
     hasActiveSequences: true
   }, { merge: true });
 
-  return messages.length;
+  return n;
 }
 
 /**
- * Cancela (borra) tareas pendientes de ciertos triggers para un lead.
+ * Cancela (borra) tareas pendientes o pausadas de ciertos triggers para un lead.
  */
 export async function cancelSequences(leadId, triggers = []) {
   if (!leadId || !Array.isArray(triggers) || triggers.length === 0) return 0;
 
   const snap = await db.collection('sequenceQueue')
     .where('leadId', '==', leadId)
-    .where('status', '==', 'pending')
+    .where('status', 'in', OPEN_STATUSES)
     .get();
 
   if (snap.empty) return 0;
@@ -131,61 +394,173 @@ export async function cancelSequences(leadId, triggers = []) {
   return n;
 }
 
+/**
+ * Cancela (borra) TODAS las tareas pendientes o pausadas de un lead (p.ej. opt-out).
+ */
+export async function cancelAllSequences(leadId) {
+  if (!leadId) return 0;
+
+  const snap = await db.collection('sequenceQueue')
+    .where('leadId', '==', leadId)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+
+  const triggers = [...new Set(snap.docs.map(d => d.data().trigger))];
+  const n = await cancelSequences(leadId, triggers);
+
+  await db.collection('leads').doc(leadId).set({
+    hasActiveSequences: false
+  }, { merge: true });
+
+  return n;
+}
+
+/* ------------------------- respuesta del lead ------------------------- */
+
+// "PT24H", "P1D", "PT30M", "P1DT12H" → ms (null si no es válida)
+function parseIsoDuration(value) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(value || '').trim());
+  if (!m || m.slice(1).every(v => v === undefined)) return null;
+  const [, d = 0, h = 0, min = 0, sec = 0] = m.map(Number.parseFloat).map(v => (Number.isNaN(v) ? 0 : v));
+  return (((d * 24 + h) * 60 + min) * 60 + sec) * 1000;
+}
+
+/** Acción de la secuencia ante una respuesta: { action: 'stop'|'pause', pauseMs } o null */
+function replyPolicy(seqData = {}) {
+  if (seqData.stopOnReply) return { action: 'stop' };
+  if (seqData.pauseOnReply) {
+    const pauseMs = parseIsoDuration(seqData.pauseOnReply);
+    if (pauseMs) return { action: 'pause', pauseMs };
+    console.warn(`[queue] pauseOnReply inválido: ${seqData.pauseOnReply}`);
+  }
+  return null;
+}
+
+/**
+ * El lead escribió: en las secuencias con stopOnReply se cancelan sus jobs
+ * pendientes o pausados; con pauseOnReply (duración ISO 8601, p. ej. 'PT24H') se corren
+ * para que el siguiente no salga antes de ese plazo (se conserva el espaciado).
+ * El motivo queda en cada job y en leads/{id}.sequenceStops.{trigger}.
+ * @returns {Promise<Array<{ trigger, action, jobs, until? }>>}
+ */
+export async function handleLeadReply(leadId, repliedAt = new Date()) {
+  const snap = await db.collection('sequenceQueue')
+    .where('leadId', '==', leadId)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+  if (snap.empty) return [];
+
+  const byTrigger = new Map();
+  snap.docs.forEach(d => {
+    const t = d.data().trigger;
+    if (!byTrigger.has(t)) byTrigger.set(t, []);
+    byTrigger.get(t).push(d);
+  });
+
+  const replyMs = new Date(repliedAt).getTime();
+  const results = [];
+  const leadUpd = {};
+  const batch = db.batch();
+
+  for (const [trigger, docs] of byTrigger) {
+    const seqDoc = await loadSequence(trigger);
+    const policy = replyPolicy(seqDoc?.data());
+    if (!policy) continue;
+
+    if (policy.action === 'stop') {
+      docs.forEach(d => batch.update(d.ref, {
+        status: 'cancelled',
+        cancelReason: 'leadReplied',
+        cancelledAt: FieldValue.serverTimestamp()
+      }));
+      leadUpd[`sequenceStops.${trigger}`] = { action: 'stop', reason: 'leadReplied', at: new Date(replyMs) };
+      results.push({ trigger, action: 'stop', jobs: docs.length });
+      continue;
+    }
+
+    // los 'paused' ya los corre resumeLeadSequences al reanudar: no se mueven dos veces
+    const pending = docs.filter(d => d.data().status === 'pending');
+    if (!pending.length) continue;
+    const until = replyMs + policy.pauseMs;
+    const firstDue = Math.min(...pending.map(d => d.data().dueAt?.toMillis?.() ?? +new Date(d.data().dueAt)));
+    const shift = Math.max(0, until - firstDue);
+    if (!shift) continue;
+    pending.forEach(d => {
+      const j = d.data();
+      const dueMs = j.dueAt?.toMillis?.() ?? +new Date(j.dueAt);
+      batch.update(d.ref, {
+        dueAt: new Date(dueMs + shift),
+        originalDueAt: j.originalDueAt || j.dueAt,
+        deferredReason: 'leadReplied',
+        replyPauses: FieldValue.increment(1)
+      });
+    });
+    leadUpd[`sequenceStops.${trigger}`] = { action: 'pause', reason: 'leadReplied', at: new Date(replyMs), until: new Date(until) };
+    results.push({ trigger, action: 'pause', jobs: pending.length, until: new Date(until) });
+  }
+
+  if (!results.length) return results;
+
+  const stopped = results.filter(r => r.action === 'stop').reduce((n, r) => n + r.jobs, 0);
+  if (stopped === snap.size) leadUpd.hasActiveSequences = false;
+  batch.update(db.collection('leads').doc(leadId), leadUpd);
+  await batch.commit();
+
+  results.forEach(r => publishEvent(EVENT_TYPES.QUEUE_SEQUENCE_STOPPED, { ...r, reason: 'leadReplied' }, { leadId }));
+  return results;
+}
+
 /* -------------------------- entrega de mensajes ------------------------- */
 
-async function deliverPayload(leadId, payload) {
-  const leadSnap = await db.collection('leads').doc(leadId).get();
-  if (!leadSnap.exists) throw new Error(`Lead no existe: ${leadId}`);
+async function deliverPayload(leadId, payload, leadSnap = null) {
+  if (!leadSnap) leadSnap = await db.collection('leads').doc(leadId).get();
+  if (!leadSnap.exists) throw codedError(LEAD_MISSING, `Lead no existe: ${leadId}`);
 
   const lead = { id: leadSnap.id, ...leadSnap.data() };
+  if (isOptedOut(lead)) throw optOutError(leadId);
+
   const phone = String(lead.telefono || '').replace(/\D/g, '');
-  if (!phone) throw new Error(`Lead sin telefono: ${leadId}`);
+  if (!phone) throw codedError(PHONE_MISSING, `Lead sin telefono: ${leadId}`);
 
   const type = (payload?.type || 'texto').toLowerCase();
   const contenido = payload?.contenido || '';
 
-  // acceso al socket por si mandamos multimedia
-  const sock = getWhatsAppSock();
+  // sale por la misma sesión (número) por la que entró el lead
+  const opts = {
+    sessionId: lead.sessionId || undefined,
+    region: lead.region || undefined,
+    humanize: payload?.humanize || false
+  };
 
   switch (type) {
     case 'texto': {
       const text = replacePlaceholders(contenido, lead).trim();
-      if (text) await sendMessageToLead(phone, text);
+      if (text) await sendMessageToLead(phone, text, opts);
       break;
     }
 
     case 'formulario': {
       const text = replacePlaceholders(contenido, lead).trim();
-      if (text) await sendMessageToLead(phone, text);
+      if (text) await sendMessageToLead(phone, text, opts);
       break;
     }
 
     case 'audio':
     case 'clip': {
       const url = replacePlaceholders(contenido, lead).trim();
-      if (url) await sendClipMessage(phone, url);
+      if (url) await sendClipMessage(phone, url, opts);
       break;
     }
 
     case 'imagen': {
       const url = replacePlaceholders(contenido, lead).trim();
-      if (url && sock) {
-        const jid = `${phone}@s.whatsapp.net`;
-        await sock.sendMessage(jid, { image: { url } });
-      } else if (url) {
-        await sendMessageToLead(phone, url);
-      }
+      if (url) await sendMediaFromUrl(phone, 'image', url, opts);
       break;
     }
 
     case 'video': {
       const url = replacePlaceholders(contenido, lead).trim();
-      if (url && sock) {
-        const jid = `${phone}@s.whatsapp.net`;
-        await sock.sendMessage(jid, { video: { url } });
-      } else if (url) {
-        await sendMessageToLead(phone, url);
-      }
+      if (url) await sendMediaFromUrl(phone, 'video', url, opts);
       break;
     }
 
@@ -193,25 +568,199 @@ async function deliverPayload(leadId, payload) {
     case 'video_note':
     case 'video-note': {
       const url = replacePlaceholders(contenido, lead).trim();
-      if (url) await sendVideoNote(phone, url);
+      if (url) await sendVideoNote(phone, url, opts);
       break;
     }
 
     default: {
       const text = replacePlaceholders(contenido, lead).trim();
-      if (text) await sendMessageToLead(phone, text);
+      if (text) await sendMessageToLead(phone, text, opts);
     }
   }
 }
 
 /* ----------------------------- procesar cola ---------------------------- */
 
+// datos del job para el stream de eventos
+function jobEvent(job) {
+  return { jobId: job.id, trigger: job.trigger, idx: job.idx ?? null, type: job.payload?.type || 'texto' };
+}
+
+/* ------------------------- pasos de acción / saltos ------------------------- */
+
+/**
+ * goto: marca como 'skipped' lo que queda de la corrida (idx > actual,
+ * pendiente o pausado) y
+ * vuelve a encolar desde el paso destino. El inicio de referencia se elige
+ * para que un salto hacia adelante conserve los tiempos originales y uno
+ * hacia atrás empiece ya: start = ahora − min(delay actual, delay destino).
+ */
+async function jumpToStep(job, target) {
+  if (Number(job.jumps || 0) >= MAX_JUMPS) {
+    throw codedError(TOO_MANY_JUMPS, `Demasiados saltos en ${job.trigger} (${MAX_JUMPS})`);
+  }
+  const seqDoc = await loadSequence(job.trigger);
+  const data = seqDoc?.data() || {};
+  const messages = Array.isArray(data.messages) ? data.messages : [];
+  const targetIdx = resolveStepTarget(messages, target);
+  if (targetIdx === -1) throw codedError(STEP_NOT_FOUND, `Paso destino no existe en ${job.trigger}: ${target}`);
+
+  const pendingSnap = await db.collection('sequenceQueue')
+    .where('leadId', '==', job.leadId)
+    .where('trigger', '==', job.trigger)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+
+  const batch = db.batch();
+  pendingSnap.docs
+    .filter(d => (d.data().runId || null) === (job.runId || null) && (d.data().idx ?? 0) > (job.idx ?? 0))
+    .forEach(d => batch.update(d.ref, {
+      status: 'skipped',
+      skipReason: 'goto',
+      skippedAt: FieldValue.serverTimestamp()
+    }));
+
+  let enqueued = 0;
+  if (targetIdx !== null) {
+    const curDelay = Number(job.stepDelay ?? messages[job.idx]?.delay ?? 0);
+    const targetDelay = Number(messages[targetIdx]?.delay || 0);
+    const { tz, sendWindow } = await enqueueContext(job.leadId, data);
+    enqueued = enqueueSteps(batch, {
+      leadId: job.leadId,
+      trigger: job.trigger,
+      data: { ...data, messages },
+      fromIdx: targetIdx,
+      startMs: Date.now() - Math.min(curDelay, targetDelay) * 60_000,
+      runId: job.runId || crypto.randomUUID(),
+      startedAt: job.startedAt || job.createdAt || new Date(),
+      jumps: Number(job.jumps || 0) + 1,
+      tz,
+      sendWindow
+    });
+  }
+  await batch.commit();
+  return { targetIdx, enqueued };
+}
+
+/** Ejecuta un paso de acción (goto / addTag / startTrigger) */
+async function runStepAction(job, lead) {
+  const p = job.payload || {};
+  const leadRef = db.collection('leads').doc(job.leadId);
+
+  switch (p.type) {
+    case 'goto':
+      return jumpToStep(job, p.target ?? p.contenido);
+
+    case 'addTag': {
+      const tag = String(p.tag || p.contenido || '').trim();
+      if (tag) await leadRef.set({ etiquetas: FieldValue.arrayUnion(tag) }, { merge: true });
+      return { tag };
+    }
+
+    case 'startTrigger': {
+      const trigger = String(p.trigger || p.contenido || '').trim();
+      if (!trigger) return { trigger: null };
+      const hadTag = (lead.etiquetas || []).includes(trigger);
+      await leadRef.set({ etiquetas: FieldValue.arrayUnion(trigger) }, { merge: true });
+      const scheduled = await scheduleSequenceForLead(job.leadId, trigger);
+      return { trigger, hadTag, scheduled };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fallo de entrega: reprograma (status sigue 'pending', dueAt = nextAttemptAt)
+ * o lo manda a 'dead' si es permanente o ya agotó maxAttempts.
+ */
+async function failJob(job, err) {
+  const error = String(err?.message || err);
+  const attempts = Number(job.attempts || 0) + 1;
+  const maxAttempts = Number(job.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  const transient = isTransientError(err);
+  const failure = { at: new Date(), error, code: err?.code || null, transient };
+
+  if (transient && attempts < maxAttempts) {
+    const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts));
+    await job.ref.update({
+      ...releaseLease(),
+      status: 'pending',
+      attempts,
+      nextAttemptAt,
+      dueAt: nextAttemptAt,
+      originalDueAt: job.originalDueAt || job.dueAt,
+      deferredReason: 'retry',
+      lastError: error,
+      failures: FieldValue.arrayUnion(failure)
+    });
+    publishEvent(EVENT_TYPES.QUEUE_JOB_RETRY, { ...jobEvent(job), attempts, maxAttempts, nextAttemptAt, error }, { leadId: job.leadId });
+    return;
+  }
+
+  await job.ref.update({
+    ...releaseLease(),
+    status: 'dead',
+    attempts,
+    nextAttemptAt: null,
+    deadAt: FieldValue.serverTimestamp(),
+    deadReason: transient ? 'maxAttempts' : 'permanent',
+    processedAt: FieldValue.serverTimestamp(),
+    error,
+    lastError: error,
+    failures: FieldValue.arrayUnion(failure)
+  });
+  publishEvent(EVENT_TYPES.QUEUE_JOB_FAILED, { ...jobEvent(job), status: 'dead', attempts, error }, { leadId: job.leadId });
+}
+
+/**
+ * Cierra como 'sent' un job ya entregado. Fuera del catch de processQueue:
+ * un fallo aquí no pasa por failJob (reenviaría). Se reintenta un par de
+ * veces y, si aun así falla, solo se registra.
+ */
+async function markJobSent(job) {
+  for (let i = 1; i <= 3; i++) {
+    try {
+      await job.ref.update({
+        ...releaseLease(),
+        status: 'sent',
+        processedAt: FieldValue.serverTimestamp()
+      });
+      return;
+    } catch (err) {
+      if (i === 3) {
+        console.error(`[queue] job ${job.id} enviado pero no se pudo marcar 'sent':`, err?.message || err);
+        return;
+      }
+      await sleep(500 * i);
+    }
+  }
+}
+
+// evita que un tick del cron se solape con el anterior en este proceso
+let queueRunning = false;
+
 /**
  * Procesa jobs pendientes cuya dueAt <= ahora.
  * Orden total: dueAt ASC, idx ASC, createdAt ASC.
  * ENVÍO SECUENCIAL (no paralelo) para preservar orden exacto.
+ * Cada job se reclama (lease) justo antes de enviarlo, así varias
+ * instancias pueden correr a la vez sin duplicar envíos.
+ * @param {{ batchSize?: number, shard?: number|null }} opts shard fuerza uno; si no, los de este worker
  */
 export async function processQueue({ batchSize = 100, shard = null } = {}) {
+  if (queueRunning) return 0;
+  queueRunning = true;
+  try {
+    await reclaimExpiredLeases();
+    return await processBatch({ batchSize, shards: shard !== null ? [shard] : workerShards() });
+  } finally {
+    queueRunning = false;
+  }
+}
+
+async function processBatch({ batchSize, shards }) {
   const now = new Date();
 
   let q = db.collection('sequenceQueue')
@@ -220,7 +769,7 @@ export async function processQueue({ batchSize = 100, shard = null } = {}) {
     .orderBy('dueAt', 'asc')
     .limit(batchSize);
 
-  if (shard !== null) q = q.where('shard', '==', shard);
+  if (shards) q = q.where('shard', 'in', shards);
 
   const snap = await q.get();
   if (snap.empty) return 0;
@@ -239,30 +788,339 @@ export async function processQueue({ batchSize = 100, shard = null } = {}) {
       return ca - cb;
     });
 
+  // Ventanas: config global una vez por corrida, secuencias cacheadas por trigger
+  const globalCfg = await loadGlobalConfig();
+  const seqCache = new Map();
+  const windowFor = async (trigger) => {
+    if (!seqCache.has(trigger)) {
+      const seqDoc = await loadSequence(trigger);
+      seqCache.set(trigger, effectiveSendWindow(seqDoc?.data(), globalCfg));
+    }
+    return seqCache.get(trigger);
+  };
+
   // Envío SECUENCIAL para mantener orden exacto
-  for (const job of jobs) {
+  let processed = 0;
+  for (const candidate of jobs) {
+    const job = await claimJob(candidate.ref);
+    if (!job) continue; // lo tomó otro worker o ya no está pendiente
+    processed++;
+
     try {
-      await deliverPayload(job.leadId, job.payload);
+      const leadSnap = await db.collection('leads').doc(job.leadId).get();
+      const type = job.payload?.type || 'texto';
+      const isAction = ACTION_TYPES.includes(type);
 
-      await job.ref.update({
-        status: 'sent',
-        processedAt: FieldValue.serverTimestamp()
-      });
+      // Fuera de horario para el lead → se corre al siguiente hueco permitido
+      // (los pasos de acción no envían nada: no esperan la ventana;
+      // ignoreWindow = "enviar ya" pedido por un agente)
+      if (leadSnap.exists && !isAction && !job.ignoreWindow) {
+        const tz = leadTimezone(leadSnap.data());
+        const win = await windowFor(job.trigger);
+        const at = new Date();
+        const slot = nextAllowedSlot(at, win, tz);
+        if (slot.getTime() > at.getTime()) {
+          await job.ref.update({
+            ...releaseLease(),
+            status: 'pending',
+            dueAt: new Date(slot.getTime() + (job.idx ?? 0) * 250),
+            originalDueAt: job.originalDueAt || job.dueAt,
+            deferredReason: 'sendWindow',
+            timezone: tz,
+            windowDeferrals: FieldValue.increment(1)
+          });
+          continue;
+        }
+      }
+
+      // condiciones del paso, con el estado del lead de ahora
+      if (job.payload?.conditions?.length) {
+        if (!leadSnap.exists) throw codedError(LEAD_MISSING, `Lead no existe: ${job.leadId}`);
+        const lead = { id: leadSnap.id, ...leadSnap.data() };
+        const { ok, failed } = await evaluateConditions(job.payload.conditions, { lead, job });
+        if (!ok) {
+          const jump = job.payload.elseGoto !== undefined ? await jumpToStep(job, job.payload.elseGoto) : null;
+          await job.ref.update({
+            ...releaseLease(),
+            status: 'skipped',
+            skipReason: 'condition',
+            failedCondition: failed,
+            ...(jump ? { elseGoto: jump } : {}),
+            skippedAt: FieldValue.serverTimestamp()
+          });
+          publishEvent(EVENT_TYPES.QUEUE_JOB_SKIPPED, { ...jobEvent(job), reason: 'condition', condition: failed }, { leadId: job.leadId });
+          continue;
+        }
+      }
+
+      if (isAction) {
+        if (!leadSnap.exists) throw codedError(LEAD_MISSING, `Lead no existe: ${job.leadId}`);
+        const result = await runStepAction(job, { id: leadSnap.id, ...leadSnap.data() });
+        await job.ref.update({
+          ...releaseLease(),
+          status: 'done',
+          result: result || null,
+          processedAt: FieldValue.serverTimestamp()
+        });
+        publishEvent(EVENT_TYPES.QUEUE_JOB_SENT, { ...jobEvent(job), action: type, result: result || null }, { leadId: job.leadId });
+        continue;
+      }
+
+      // lease fresco antes de enviar (las condiciones/acciones de arriba consumen tiempo)
+      if (!(await extendLease(job))) {
+        console.warn(`[queue] lease perdido antes de enviar, se omite: ${job.id}`);
+        continue;
+      }
+      await withLease(job, () => deliverPayload(job.leadId, job.payload, leadSnap));
+
+      // ya enviado: desde aquí ningún fallo debe reprogramar el job (reenvío)
+      await markJobSent(job);
+      publishEvent(EVENT_TYPES.QUEUE_JOB_SENT, jobEvent(job), { leadId: job.leadId });
 
       await db.collection('leads').doc(job.leadId).set({
         lastMessageAt: FieldValue.serverTimestamp()
-      }, { merge: true });
+      }, { merge: true }).catch(e => console.warn(`[queue] lastMessageAt ${job.leadId}:`, e?.message));
 
       // Pequeño respiro entre mensajes para que WA no reordene
       await sleep(350);
     } catch (err) {
-      await job.ref.update({
-        status: 'error',
-        processedAt: FieldValue.serverTimestamp(),
-        error: String(err?.message || err)
-      });
+      // tope diario de conversaciones nuevas: se reintenta cuando se libere
+      if (err?.code === RATE_LIMITED) {
+        await job.ref.update({
+          ...releaseLease(),
+          status: 'pending',
+          dueAt: err.retryAt || new Date(Date.now() + 60 * 60 * 1000),
+          deferredReason: 'rateLimit'
+        });
+        continue;
+      }
+      // lead dado de baja: no es un error, el job queda suprimido
+      if (err?.code === OPTED_OUT) {
+        await job.ref.update({
+          ...releaseLease(),
+          status: 'suppressed',
+          processedAt: FieldValue.serverTimestamp(),
+          error: 'optedOut'
+        });
+        publishEvent(EVENT_TYPES.QUEUE_JOB_FAILED, { ...jobEvent(job), status: 'suppressed', error: 'optedOut' }, { leadId: job.leadId });
+        continue;
+      }
+      await failJob(job, err);
     }
   }
 
-  return jobs.length;
+  return processed;
+}
+
+/* --------------------- control manual por lead (agentes) --------------------- */
+
+export const NO_PENDING_STEP = 'NO_PENDING_STEP';
+
+function dueMillis(j) {
+  return j.dueAt?.toMillis?.() ?? +new Date(j.dueAt);
+}
+
+// jobs abiertos (pending / processing / paused) del lead, en orden de envío
+async function openLeadJobs(leadId, trigger = null) {
+  let q = db.collection('sequenceQueue')
+    .where('leadId', '==', leadId)
+    .where('status', 'in', [...OPEN_STATUSES, 'processing']);
+  if (trigger) q = q.where('trigger', '==', trigger);
+  const snap = await q.get();
+  return snap.docs
+    .map(d => ({ id: d.id, ref: d.ref, ...d.data() }))
+    .sort((a, b) => dueMillis(a) - dueMillis(b) || (a.idx ?? 0) - (b.idx ?? 0));
+}
+
+function publishSequenceUpdate(leadId, action, data) {
+  publishEvent(EVENT_TYPES.QUEUE_SEQUENCE_UPDATED, { action, ...data }, { leadId });
+}
+
+/**
+ * Secuencias activas del lead agrupadas por trigger: estado, próximo paso
+ * y cuándo sale.
+ */
+export async function listLeadSequences(leadId) {
+  const jobs = await openLeadJobs(leadId);
+  const byTrigger = new Map();
+  for (const j of jobs) {
+    if (!byTrigger.has(j.trigger)) byTrigger.set(j.trigger, []);
+    byTrigger.get(j.trigger).push(j);
+  }
+
+  return [...byTrigger.entries()].map(([trigger, list]) => {
+    const next = list[0];
+    const paused = list.every(j => j.status === 'paused');
+    return {
+      trigger,
+      runId: next.runId || null,
+      status: paused ? 'paused' : 'active',
+      pausedAt: paused ? next.pausedAt || null : null,
+      nextDueAt: new Date(dueMillis(next)),
+      nextStep: { jobId: next.id, idx: next.idx ?? null, type: next.payload?.type || 'texto', stepId: next.payload?.stepId || null },
+      remaining: list.length,
+      jobs: list.map(({ ref, ...j }) => j)
+    };
+  });
+}
+
+/**
+ * Cambia el estado de un job solo si sigue en uno de `from` (transacción,
+ * como claimJob): un worker puede haberlo pasado a 'processing' entre la
+ * lectura y la escritura. build(data) → campos a escribir.
+ * @returns {Promise<object|null>} datos previos del job o null si ya no aplicaba
+ */
+async function transitionJob(ref, from, build) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || !from.includes(snap.data().status)) return null;
+    const d = snap.data();
+    tx.update(ref, build(d));
+    return { id: snap.id, ref, ...d };
+  });
+}
+
+/**
+ * Congela los pasos pendientes: no salen hasta resumeLeadSequences, que corre
+ * su dueAt lo que duró la pausa (se conserva la posición y el espaciado).
+ * @returns {Promise<number>} jobs pausados
+ */
+export async function pauseLeadSequences(leadId, { trigger = null, by = null } = {}) {
+  const jobs = (await openLeadJobs(leadId, trigger)).filter(j => j.status === 'pending');
+  const pausedAt = new Date();
+  let n = 0;
+  for (const j of jobs) {
+    const ok = await transitionJob(j.ref, ['pending'], () => ({ status: 'paused', pausedAt, pausedBy: by }));
+    if (ok) n++;
+  }
+  if (n) publishSequenceUpdate(leadId, 'pause', { trigger, jobs: n });
+  return n;
+}
+
+/** Reanuda los pasos pausados desplazando dueAt por la duración de la pausa */
+export async function resumeLeadSequences(leadId, { trigger = null } = {}) {
+  const jobs = (await openLeadJobs(leadId, trigger)).filter(j => j.status === 'paused');
+  let n = 0;
+  for (const j of jobs) {
+    const ok = await transitionJob(j.ref, ['paused'], (d) => {
+      const now = Date.now();
+      const pausedMs = Math.max(0, now - (d.pausedAt?.toMillis?.() ?? +new Date(d.pausedAt || now)));
+      return {
+        status: 'pending',
+        dueAt: new Date(dueMillis(d) + pausedMs),
+        originalDueAt: d.originalDueAt || d.dueAt,
+        pausedAt: FieldValue.delete(),
+        pausedBy: FieldValue.delete(),
+        pausedTotalMs: FieldValue.increment(pausedMs),
+        resumedAt: FieldValue.serverTimestamp()
+      };
+    });
+    if (ok) n++;
+  }
+  if (n) publishSequenceUpdate(leadId, 'resume', { trigger, jobs: n });
+  return n;
+}
+
+/**
+ * Aplica build() al siguiente paso que aún no salió (pendiente o pausado).
+ * Si un worker lo tomó mientras tanto, pasa al siguiente.
+ */
+async function transitionNextOpenJob(leadId, trigger, build) {
+  const candidates = (await openLeadJobs(leadId, trigger)).filter(j => OPEN_STATUSES.includes(j.status));
+  for (const c of candidates) {
+    const job = await transitionJob(c.ref, OPEN_STATUSES, build);
+    if (job) return job;
+  }
+  throw codedError(NO_PENDING_STEP, `Sin pasos pendientes para ${leadId}${trigger ? ` (${trigger})` : ''}`);
+}
+
+/** Salta el próximo paso (queda 'skipped'); el resto conserva su horario */
+export async function skipNextStep(leadId, { trigger = null, by = null } = {}) {
+  const job = await transitionNextOpenJob(leadId, trigger, () => ({
+    status: 'skipped',
+    skipReason: 'agent',
+    skippedBy: by,
+    skippedAt: FieldValue.serverTimestamp()
+  }));
+  publishSequenceUpdate(leadId, 'skip', { trigger: job.trigger, jobId: job.id, idx: job.idx ?? null });
+  return { jobId: job.id, trigger: job.trigger, idx: job.idx ?? null };
+}
+
+/**
+ * Adelanta el próximo paso a "ya" (lo envía el siguiente tick del cron, sin
+ * esperar la ventana de envío). Si la secuencia estaba pausada, solo este paso sale.
+ */
+export async function sendNextStepNow(leadId, { trigger = null, by = null } = {}) {
+  const job = await transitionNextOpenJob(leadId, trigger, (d) => ({
+    status: 'pending',
+    dueAt: new Date(),
+    originalDueAt: d.originalDueAt || d.dueAt,
+    deferredReason: 'agent',
+    ignoreWindow: true,
+    pausedAt: FieldValue.delete(),
+    pausedBy: FieldValue.delete(),
+    sentNowBy: by
+  }));
+  publishSequenceUpdate(leadId, 'sendNow', { trigger: job.trigger, jobId: job.id, idx: job.idx ?? null });
+  return { jobId: job.id, trigger: job.trigger, idx: job.idx ?? null };
+}
+
+/* ------------------------- jobs muertos (admin) ------------------------- */
+
+function jobView(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+async function getDeadJobRef(jobId) {
+  const ref = db.collection('sequenceQueue').doc(jobId);
+  const snap = await ref.get();
+  if (!snap.exists) throw codedError(JOB_NOT_FOUND, `Job no existe: ${jobId}`);
+  if (snap.data().status !== 'dead') throw codedError(JOB_NOT_DEAD, `Job no está en dead: ${jobId} (${snap.data().status})`);
+  return ref;
+}
+
+/** Jobs en 'dead', más recientes primero. Filtros opcionales: leadId, trigger */
+export async function listDeadJobs({ leadId = null, trigger = null, limit = 50 } = {}) {
+  let q = db.collection('sequenceQueue').where('status', '==', 'dead');
+  if (leadId) q = q.where('leadId', '==', leadId);
+  if (trigger) q = q.where('trigger', '==', trigger);
+  const snap = await q.orderBy('deadAt', 'desc').limit(limit).get();
+  return snap.docs.map(jobView);
+}
+
+/** Cualquier job de la cola (para inspección), o null */
+export async function getJob(jobId) {
+  const snap = await db.collection('sequenceQueue').doc(jobId).get();
+  return snap.exists ? jobView(snap) : null;
+}
+
+/**
+ * Vuelve a poner un job muerto en 'pending' con los intentos a cero.
+ * `at` = cuándo enviarlo (default: ya; la ventana de envío sigue aplicando).
+ */
+export async function replayDeadJob(jobId, { at = new Date() } = {}) {
+  const ref = await getDeadJobRef(jobId);
+  await ref.update({
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    dueAt: new Date(at),
+    deferredReason: 'replay',
+    deadAt: FieldValue.delete(),
+    deadReason: FieldValue.delete(),
+    error: FieldValue.delete(),
+    replays: FieldValue.increment(1),
+    replayedAt: FieldValue.serverTimestamp()
+  });
+  return jobView(await ref.get());
+}
+
+/** Descarta un job muerto (queda como 'discarded' para auditoría) */
+export async function discardDeadJob(jobId) {
+  const ref = await getDeadJobRef(jobId);
+  await ref.update({
+    status: 'discarded',
+    discardedAt: FieldValue.serverTimestamp()
+  });
+  return jobView(await ref.get());
 }
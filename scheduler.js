@@ -12,8 +12,11 @@ import ffmpeg from 'fluent-ffmpeg';
 import { processQueue, cancelSequences, scheduleSequenceForLead } from './queue.js';
 
 import { sendMessageToLead, sendClipMessage } from './whatsappService.js';
+import { OPTED_OUT } from './optOut.js';
+import { RATE_LIMITED } from './outboundLimiter.js';
+import { publishEvent, EVENT_TYPES } from './events.js';
+import { storeMediaFile, resolveFileUrl } from './mediaService.js';
 
-const bucket = admin.storage().bucket();
 const { FieldValue } = admin.firestore;
 
 /* ========================= OpenAI ========================= */
@@ -24,6 +27,15 @@ const configuration = new Configuration({ apiKey: process.env.OPENAI_API_KEY });
 const openai = new OpenAIApi(configuration);
 
 /* ========================= Utils ========================= */
+/** Actualiza musica/{id} y publica la transición de status (stream de eventos) */
+async function updateMusica(docSnap, data) {
+  await docSnap.ref.update(data);
+  if (data.status) {
+    const { leadId = null, leadPhone = null } = docSnap.data() || {};
+    publishEvent(EVENT_TYPES.MUSICA_STATUS, { musicaId: docSnap.id, status: data.status, leadPhone }, { leadId });
+  }
+}
+
 function replacePlaceholders(template, leadData) {
   return String(template || '').replace(/\{\{(\w+)\}\}/g, (_, field) => {
     const value = leadData?.[field] || '';
@@ -142,7 +154,7 @@ Anecdotas: ${d.anecdotes}.
   const letra = resp.data.choices?.[0]?.message?.content?.trim();
   if (!letra) throw new Error(`No letra para ${docSnap.id}`);
 
-  await docSnap.ref.update({
+  await updateMusica(docSnap, {
     lyrics: letra,
     status: 'Sin prompt',
     lyricsGeneratedAt: FieldValue.serverTimestamp()
@@ -185,7 +197,7 @@ Ejemplo: "rock pop con influencias blues, guitarra eléctrica, batería enérgic
   });
 
   const stylePrompt = gptRes.data.choices[0].message.content.trim();
-  await docSnap.ref.update({ stylePrompt, status: 'Sin música' });
+  await updateMusica(docSnap, { stylePrompt, status: 'Sin música' });
   console.log(`✅ generarPromptParaMusica: ${docSnap.id} → "${stylePrompt}"`);
 }
 
@@ -201,7 +213,7 @@ async function generarMusicaConSuno() {
   const docSnap = snap.docs[0];
   const data = docSnap.data();
 
-  await docSnap.ref.update({
+  await updateMusica(docSnap, {
     status: 'Procesando música',
     generatedAt: FieldValue.serverTimestamp()
   });
@@ -217,7 +229,7 @@ async function generarMusicaConSuno() {
     console.log(`🔔 generarMusicaConSuno: task ${taskId} lanzado para ${docSnap.id}`);
   } catch (err) {
     console.error(`❌ generarMusicaConSuno(${docSnap.id}):`, err.message);
-    await docSnap.ref.update({
+    await updateMusica(docSnap, {
       status: 'Error música',
       errorMsg: err.message,
       updatedAt: FieldValue.serverTimestamp()
@@ -234,15 +246,14 @@ async function procesarClips() {
   if (snap.empty) return;
 
   for (const doc of snap.docs) {
-    const ref = doc.ref;
-    const { fullUrl } = doc.data();
+    const fullUrl = await resolveFileUrl(doc.data(), 'full');
     const id = doc.id;
 
     if (!fullUrl) {
       console.error(`[${id}] falta fullUrl`);
       continue;
     }
-    await ref.update({ status: 'Generando clip' });
+    await updateMusica(doc, { status: 'Generando clip' });
 
     const tmpFull = path.join(os.tmpdir(), `${id}-full.mp3`);
     const tmpClip = path.join(os.tmpdir(), `${id}-clip.m4a`);
@@ -268,7 +279,7 @@ async function procesarClips() {
       });
     } catch (err) {
       console.error(`[${id}] error al generar clip AAC:`, err);
-      await ref.update({ status: 'Error clip' });
+      await updateMusica(doc, { status: 'Error clip' });
       continue;
     }
 
@@ -291,25 +302,27 @@ async function procesarClips() {
       });
     } catch (err) {
       console.error(`[${id}] error al mezclar watermark AAC:`, err);
-      await ref.update({ status: 'Error watermark' });
+      await updateMusica(doc, { status: 'Error watermark' });
       continue;
     }
 
     // 4) Subir final
     try {
       const dest = `musica/clip/${id}-clip.m4a`;
-      const [file] = await bucket.upload(tmpFinal, {
-        destination: dest,
-        metadata: { contentType: 'audio/mp4' }
+      const clip = await storeMediaFile(tmpFinal, {
+        path: dest,
+        contentType: 'audio/mp4',
+        leadId: doc.data().leadId || null,
+        kind: 'musica_clip',
+        extra: { musicaId: id }
       });
-      await file.makePublic();
-      const clipUrl = `https://storage.googleapis.com/${bucket.name}/${file.name}`;
 
-      await ref.update({ clipUrl, status: 'Enviar música' });
+      // solo rutas: los envíos firman desde clipPath y los lectores de clipUrl piden link al leer
+      await updateMusica(doc, { clipPath: clip.path, clipMediaId: clip.id, clipUrl: clip.url, status: 'Enviar música' });
       console.log(`[${id}] clip AAC listo → Enviar música`);
     } catch (err) {
       console.error(`[${id}] error upload clip AAC:`, err);
-      await ref.update({ status: 'Error upload clip' });
+      await updateMusica(doc, { status: 'Error upload clip' });
     }
 
     // 5) Limpieza
@@ -338,10 +351,16 @@ async function enviarMusicaPorWhatsApp() {
       // 1) Texto con letra
       const leadDoc = await db.collection('leads').doc(leadId).get();
       const name = leadDoc.exists ? (leadDoc.data().nombre || '').split(' ')[0] : '';
+      // config/appConfig.humanizeMusic: presencia "escribiendo…" antes de letra y link
+      const cfgSnap = await db.collection('config').doc('appConfig').get();
+      const sendOpts = {
+        region: leadDoc.exists ? leadDoc.data().region : undefined,
+        humanize: cfgSnap.exists ? cfgSnap.data().humanizeMusic || false : false
+      };
       const saludo = name
         ? `Hola ${name}, esta es la letra:\n\n${lyrics}`
         : `Esta es la letra:\n\n${lyrics}`;
-      await sendMessageToLead(leadPhone, saludo);
+      await sendMessageToLead(leadPhone, saludo, sendOpts);
 
       // 2) Generar link de escucha (tu frontend /escuchar/:leadPhone debe respetar maxPlays y evitar descarga)
       const listenUrl = `https://crmusa.cantalab.com/escuchar/${leadPhone}`;
@@ -349,11 +368,12 @@ async function enviarMusicaPorWhatsApp() {
       // 3) Enviar mensaje con link
       await sendMessageToLead(
         leadPhone,
-        `🎧 Ya tenemos tu canción lista.\n\nEscúchala aquí:\n${listenUrl}\n\n⚠️ El acceso es limitado, guárdalo bien.`
+        `🎧 Ya tenemos tu canción lista.\n\nEscúchala aquí:\n${listenUrl}\n\n⚠️ El acceso es limitado, guárdalo bien.`,
+        sendOpts
       );
 
       // 4) Marcar como enviada en Firestore + preparar control de reproducción
-      await ref.update({
+      await updateMusica(doc, {
         status: 'Enviada',
         listenUrl,
         sentAt: FieldValue.serverTimestamp(),
@@ -379,8 +399,19 @@ async function enviarMusicaPorWhatsApp() {
 
       console.log(`✅ Música enviada a ${leadPhone} (doc ${doc.id}) y MusicaLead programada`);
     } catch (err) {
+      if (err?.code === OPTED_OUT) {
+        console.warn(`🚫 ${doc.id}: lead dado de baja, no se envía la música`);
+        await updateMusica(doc, { status: 'Suprimida opt-out', errorMsg: err.message });
+        continue;
+      }
+      // tope diario de conversaciones nuevas: queda en 'Enviar música' para el próximo cron
+      if (err?.code === RATE_LIMITED) {
+        console.warn(`⏳ ${doc.id}: límite de envío alcanzado, se reintenta luego`);
+        await ref.update({ errorMsg: err.message, rateLimitedAt: FieldValue.serverTimestamp() });
+        continue;
+      }
       console.error(`❌ Error en ${doc.id}:`, err);
-      await ref.update({ status: 'Error música', errorMsg: err.message });
+      await updateMusica(doc, { status: 'Error música', errorMsg: err.message });
     }
   }
 }
@@ -396,7 +427,7 @@ async function retryStuckMusic(thresholdMin = 10) {
     .get();
 
   for (const docSnap of snap.docs) {
-    await docSnap.ref.update({
+    await updateMusica(docSnap, {
       status: 'Sin música',
       taskId: FieldValue.delete(),
       errorMsg: FieldValue.delete(),
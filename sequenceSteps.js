@@ -0,0 +1,135 @@
+// sequenceSteps.js
+import { db } from './firebaseAdmin.js';
+import { phoneVariants } from './utils/phone.js';
+
+/**
+ * Pasos condicionales de secuencias (secuencias/{id}.messages[i]):
+ *
+ *   { id?, type, contenido, delay, conditions?: [...], elseGoto? }
+ *
+ * `conditions` (todas deben cumplirse) se evalúan al momento de enviar:
+ *   { type: 'hasTag', tag }           el lead tiene la etiqueta
+ *   { type: 'lacksTag', tag }         el lead no la tiene
+ *   { type: 'field', field, op, value }
+ *        op: eq | neq | in | contains | regex | exists | missing (default eq)
+ *   { type: 'replied' }               el lead escribió desde que empezó la secuencia
+ *   { type: 'notReplied' }
+ *   { type: 'musicHalfHeard', value? } musica.listen.halfHeard === value (default true)
+ *
+ * Pasos de acción (no envían mensaje; el valor también puede ir en `contenido`):
+ *   { type: 'goto', target }          salta al paso `target` (idx o id; 'end' = terminar)
+ *   { type: 'addTag', tag }           añade la etiqueta al lead
+ *   { type: 'startTrigger', trigger } programa otra secuencia
+ */
+
+export const ACTION_TYPES = ['goto', 'addTag', 'startTrigger'];
+export const CONDITION_TYPES = ['hasTag', 'lacksTag', 'field', 'replied', 'notReplied', 'musicHalfHeard'];
+
+function toMillis(v) {
+  return v?.toMillis?.() ?? (v ? +new Date(v) : 0);
+}
+
+// campo con puntos: "listen.halfHeard", "utm.source"…
+function getPath(obj, path) {
+  return String(path || '').split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/** Parte de la definición del paso que viaja en el payload del job */
+export function stepPayload(m = {}) {
+  const out = {};
+  if (m.id !== undefined) out.stepId = String(m.id);
+  if (Array.isArray(m.conditions) && m.conditions.length) out.conditions = m.conditions;
+  if (m.elseGoto !== undefined) out.elseGoto = m.elseGoto;
+  if (m.target !== undefined) out.target = m.target;
+  if (m.tag !== undefined) out.tag = String(m.tag);
+  if (m.trigger !== undefined) out.trigger = String(m.trigger);
+  return out;
+}
+
+/** idx del paso destino (número o id), 'end' → null, -1 si no existe */
+export function resolveStepTarget(messages, target) {
+  if (target === 'end') return null;
+  if (Number.isInteger(target)) return target >= 0 && target < messages.length ? target : -1;
+  return messages.findIndex(m => m?.id !== undefined && String(m.id) === String(target));
+}
+
+// musica más reciente del lead (createdAt desc): por leadId y, para docs
+// anteriores, por teléfono. Se ordena en memoria: los docs sin createdAt
+// quedarían fuera de un orderBy de Firestore.
+async function leadMusic(lead) {
+  let snap = await db.collection('musica').where('leadId', '==', lead.id).get();
+  if (snap.empty && lead.telefono) {
+    snap = await db.collection('musica')
+      .where('leadPhone', 'in', phoneVariants(lead.telefono, { region: lead.region }))
+      .get();
+  }
+  if (snap.empty) return null;
+  return snap.docs
+    .map(d => d.data())
+    .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))[0];
+}
+
+// docs anteriores guardaron la marca como campo literal "listen.halfHeard"
+function halfHeard(music) {
+  return !!(music?.listen?.halfHeard || music?.['listen.halfHeard']);
+}
+
+function matchField(actual, op = 'eq', value) {
+  switch (op) {
+    case 'exists': return actual !== undefined && actual !== null && actual !== '';
+    case 'missing': return actual === undefined || actual === null || actual === '';
+    case 'neq': return actual !== value;
+    case 'in': return Array.isArray(value) && value.includes(actual);
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.includes(value)
+        : String(actual ?? '').toLowerCase().includes(String(value ?? '').toLowerCase());
+    case 'regex':
+      try {
+        return new RegExp(value, 'i').test(String(actual ?? ''));
+      } catch {
+        return false;
+      }
+    default: return actual === value;
+  }
+}
+
+/**
+ * Evalúa las condiciones del paso contra el estado actual del lead.
+ * @param {object[]} conditions
+ * @param {{ lead: object, job: object }} ctx  lead con id; job con startedAt
+ * @returns {Promise<{ ok: boolean, failed?: object }>} failed = primera condición que no se cumple
+ */
+export async function evaluateConditions(conditions = [], { lead, job }) {
+  let music; // se consulta solo si hace falta, una vez
+  for (const c of conditions) {
+    let ok;
+    switch (c?.type) {
+      case 'hasTag':
+        ok = (lead.etiquetas || []).includes(c.tag);
+        break;
+      case 'lacksTag':
+        ok = !(lead.etiquetas || []).includes(c.tag);
+        break;
+      case 'field':
+        ok = matchField(getPath(lead, c.field), c.op, c.value);
+        break;
+      case 'replied':
+      case 'notReplied': {
+        const since = toMillis(job.startedAt || job.createdAt);
+        const replied = toMillis(lead.lastInboundAt) > since;
+        ok = c.type === 'replied' ? replied : !replied;
+        break;
+      }
+      case 'musicHalfHeard':
+        if (music === undefined) music = await leadMusic(lead);
+        ok = halfHeard(music) === (c.value ?? true);
+        break;
+      default:
+        console.warn(`[sequenceSteps] condición desconocida: ${c?.type}`);
+        ok = false;
+    }
+    if (!ok) return { ok: false, failed: c };
+  }
+  return { ok: true };
+}
@@ -12,27 +12,84 @@ import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import axios from 'axios';
 import os from 'os';
 import Stripe from 'stripe';
+import QRCodeImage from 'qrcode';
 
 import { db, admin } from './firebaseAdmin.js';
-const bucket = admin.storage().bucket();
 
 // ffmpeg binario
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
 // ⚠️ IMPORTS de WhatsApp (una sola vez)
 import {
-  connectToWhatsApp,
+  connectAllSessions,
+  createSession,
+  listSessions,
+  logoutSession,
+  isValidSessionId,
+  describeSession,
   getLatestQR,
-  getConnectionStatus,
+  listConnectionEvents,
+  requestPairingCode,
   getSessionPhone,
   sendMessageToLead,
   sendAudioMessage,
   sendClipMessage,
-  sendFullAudioAsDocument
+  sendFullAudioAsDocument,
+  sendMediaMessage
 } from './whatsappService.js';
 
+import { normalizePhone, phoneVariants } from './utils/phone.js';
+import { OUTBOUND_KINDS } from './utils/mediaProcessing.js';
+
 // Secuencias (programar/cancelar) → desde queue.js
-import { scheduleSequenceForLead, cancelSequences } from './queue.js';
+import {
+  scheduleSequenceForLead,
+  cancelSequences,
+  listDeadJobs,
+  getJob,
+  replayDeadJob,
+  discardDeadJob,
+  JOB_NOT_FOUND,
+  JOB_NOT_DEAD,
+  listLeadSequences,
+  pauseLeadSequences,
+  resumeLeadSequences,
+  skipNextStep,
+  sendNextStepNow,
+  NO_PENDING_STEP
+} from './queue.js';
+
+// Reglas hashtag/keyword → trigger
+import {
+  evaluateTriggerRules,
+  applyRulesForTrigger,
+  listTriggerRules,
+  saveTriggerRule,
+  deleteTriggerRule,
+  sanitizeRule
+} from './triggerRules.js';
+
+// Opt-out (STOP / BAJA)
+import { OPTED_OUT, optOutLead, optInLead } from './optOut.js';
+import { RATE_LIMITED, getOutboundBacklog } from './outboundLimiter.js';
+import { subscribeEvents } from './events.js';
+import { fetchRemoteMedia, URL_NOT_ALLOWED } from './utils/remoteMedia.js';
+import { refreshLeadProfile, refreshStaleProfiles } from './leadProfile.js';
+import { findDuplicateLeads, mergeLeads, LEAD_NOT_FOUND, PHONE_MISMATCH } from './leadMerge.js';
+import {
+  MEDIA_FORBIDDEN,
+  getMedia,
+  authorizeMediaRequest,
+  streamMedia,
+  signMediaLink,
+  signedUrlForMedia,
+  mediaIdFromUrl,
+  mediaPath,
+  updateMediaAccess,
+  requireStaff,
+  storeMediaFile,
+  resolveFileUrl
+} from './mediaService.js';
 
 // Tareas programadas
 import {
@@ -158,17 +215,156 @@ const plansColl = db.collection('billing').doc('plans').collection('items');
 app.use(cors());
 app.use(bodyParser.json());
 
+/* ------------------------ Eventos en tiempo real ------------------------ */
+/**
+ * SSE: GET /api/events?types=message,queue.job.failed&leadId=a,b
+ * - types: tipo exacto o prefijo ("message" = message.*); vacío = todos
+ * - leadId: uno o varios separados por coma; vacío = todos
+ * Reanuda con el header Last-Event-ID (o ?lastEventId) desde el historial reciente.
+ */
+app.get('/api/events', (req, res) => {
+  const list = (v) => String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+  const filter = { types: list(req.query.types), leadIds: list(req.query.leadId) };
+  const lastId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeEvents((event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }, filter, { sinceId: Number.isFinite(lastId) ? lastId : null });
+
+  // comentario periódico para que proxies no corten la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 /* ----------------------- WhatsApp status / número ----------------------- */
-app.get('/api/whatsapp/status', (_req, res) => {
-  res.json({ status: getConnectionStatus(), qr: getLatestQR() });
+// ?sessionId=<id> (por defecto "default")
+// incluye uptimeMs, lastDisconnect { code, reason, message, at } y retryInMs
+app.get('/api/whatsapp/status', (req, res) => {
+  const sessionId = req.query.sessionId || 'default';
+  if (!isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+  const { id, hasQR, ...info } = describeSession(sessionId);
+  res.json({ sessionId, ...info, qr: getLatestQR(sessionId) });
+});
+
+// QR listo para escanear desde el navegador (?sessionId=&size=320)
+app.get(['/api/whatsapp/qr.png', '/api/whatsapp/qr.svg'], async (req, res) => {
+  try {
+    const sessionId = req.query.sessionId || 'default';
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+    const qr = getLatestQR(sessionId);
+    if (!qr) return res.status(404).json({ error: 'No hay QR disponible', status: describeSession(sessionId).status });
+
+    const width = Math.min(Math.max(Number(req.query.size) || 320, 128), 1024);
+    res.set('Cache-Control', 'no-store');
+    if (req.path.endsWith('.svg')) {
+      return res.type('image/svg+xml').send(await QRCodeImage.toString(qr, { type: 'svg', width, margin: 2 }));
+    }
+    return res.type('image/png').send(await QRCodeImage.toBuffer(qr, { type: 'png', width, margin: 2 }));
+  } catch (e) {
+    console.error('GET /api/whatsapp/qr error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
 });
 
-app.get('/api/whatsapp/number', (_req, res) => {
-  const phone = getSessionPhone();
-  if (phone) return res.json({ phone });
+// Vinculación por código: body { phone, sessionId? } → { code } para ingresar en el teléfono
+app.post('/api/whatsapp/pairing-code', async (req, res) => {
+  try {
+    const { phone, sessionId = 'default' } = req.body || {};
+    if (!phone) return res.status(400).json({ error: 'phone requerido' });
+    if (!isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+    const result = await requestPairingCode(sessionId, phone);
+    res.json(result);
+  } catch (e) {
+    console.error('POST /api/whatsapp/pairing-code error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+app.get('/api/whatsapp/number', (req, res) => {
+  const sessionId = req.query.sessionId || 'default';
+  if (!isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+  const phone = getSessionPhone(sessionId);
+  if (phone) return res.json({ sessionId, phone });
   return res.status(503).json({ error: 'WhatsApp no conectado' });
 });
 
+// Cola del limitador de salida: pendientes por sesión y prioridad
+app.get('/api/whatsapp/outbound', (_req, res) => {
+  res.json(getOutboundBacklog());
+});
+
+/* ----------------------- Sesiones (varios números) ---------------------- */
+app.get('/api/whatsapp/sessions', async (_req, res) => {
+  try {
+    const items = await listSessions();
+    res.json({ items });
+  } catch (e) {
+    console.error('GET /api/whatsapp/sessions error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Crear (y conectar) una sesión: { id, name, defaultRegion }
+app.post('/api/whatsapp/sessions', async (req, res) => {
+  try {
+    const { id, name, defaultRegion } = req.body || {};
+    if (!isValidSessionId(id)) {
+      return res.status(400).json({ error: 'id requerido (letras, números, _ o -)' });
+    }
+    const session = await createSession(id, { name, defaultRegion });
+    res.json(session);
+  } catch (e) {
+    console.error('POST /api/whatsapp/sessions error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+app.post('/api/whatsapp/sessions/:id/connect', async (req, res) => {
+  try {
+    const session = await createSession(req.params.id);
+    res.json(session);
+  } catch (e) {
+    console.error('POST /api/whatsapp/sessions/:id/connect error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+app.post('/api/whatsapp/sessions/:id/logout', async (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'sessionId inválido' });
+    const session = await logoutSession(req.params.id);
+    res.json(session);
+  } catch (e) {
+    console.error('POST /api/whatsapp/sessions/:id/logout error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Historial de conexión/desconexión (?limit=50)
+app.get('/api/whatsapp/sessions/:id/events', async (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'sessionId inválido' });
+    const items = await listConnectionEvents(req.params.id, { limit: Number(req.query.limit) || 50 });
+    res.json({ items });
+  } catch (e) {
+    console.error('GET /api/whatsapp/sessions/:id/events error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
 // Helper: elimina undefined (también dentro de objetos/arrays)
 function pruneUndefined(value) {
   if (Array.isArray(value)) {
@@ -393,18 +589,21 @@ app.post('/api/suno/callback', express.json(), async (req, res) => {
       ws.on('error', ko);
     });
 
-    // Subir a Storage (público)
+    // Subir a Storage (privado: solo la ruta queda en Firestore)
     const dest = `musica/full/${taskId}.mp3`;
-    const [file] = await bucket.upload(tmpFull, {
-      destination: dest,
-      metadata: { contentType: 'audio/mpeg' }
+    const full = await storeMediaFile(tmpFull, {
+      path: dest,
+      contentType: 'audio/mpeg',
+      leadId: snap.docs[0].data().leadId || null,
+      kind: 'musica_full',
+      extra: { musicaId: docRef.id }
     });
-    await file.makePublic();
-    const fullUrl = `https://storage.googleapis.com/${bucket.name}/${file.name}`;
 
-    // Actualizar doc
+    // Actualizar doc (fullUrl: ruta /api/media/{id}; el link firmado se pide al leer)
     await docRef.update({
-      fullUrl,
+      fullPath: full.path,
+      fullMediaId: full.id,
+      fullUrl: full.url,
       status: 'Audio listo',
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
@@ -418,26 +617,98 @@ app.post('/api/suno/callback', express.json(), async (req, res) => {
   }
 });
 
+/* -------------------------------- Media --------------------------------- */
+// Archivo con control de acceso (media/{id}.access) y soporte de Range
+app.get('/api/media/:id', async (req, res) => {
+  try {
+    const media = await getMedia(req.params.id);
+    if (!media) return res.status(404).json({ error: 'No encontrado' });
+    await authorizeMediaRequest(req, media);
+    await streamMedia(req, res, media);
+  } catch (e) {
+    if (e?.code === MEDIA_FORBIDDEN) return res.status(e.status).json({ error: e.message });
+    console.error('GET /api/media/:id error:', e);
+    if (!res.headersSent) res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Link temporal: { link } firmado por el servidor y, con ?storage=1, URL firmada de Storage
+app.get('/api/media/:id/link', requireStaff, async (req, res) => {
+  try {
+    const media = await getMedia(req.params.id);
+    if (!media) return res.status(404).json({ error: 'No encontrado' });
+    if (media.access === 'staff') return res.status(403).json({ error: 'Este archivo no admite links' });
+    const ttl = Math.min(Number(req.query.ttl) || 900, 3600);
+    const out = { ...signMediaLink(media.id, ttl) };
+    if (req.query.storage) out.storageUrl = await signedUrlForMedia(media.id, ttl);
+    res.json(out);
+  } catch (e) {
+    console.error('GET /api/media/:id/link error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Links temporales en lote para lo que el inbox lee de Firestore:
+// body { urls: ['/api/media/{id}', …], ttl? } → { links: { [valor]: { url, expiresAt } | null } }
+// Valores que no son /api/media (URLs públicas anteriores) vuelven tal cual.
+app.post('/api/media/links', requireStaff, async (req, res) => {
+  try {
+    const urls = [...new Set((req.body?.urls || []).map(String))].slice(0, 200);
+    const ttl = Math.min(Number(req.body?.ttl) || 900, 3600);
+
+    const entries = await Promise.all(urls.map(async (value) => {
+      const id = mediaIdFromUrl(value);
+      if (!id) return [value, { url: value, expiresAt: null }];
+      const media = await getMedia(id);
+      if (!media || media.access === 'staff') return [value, null];
+      if (Array.isArray(media.allowedUids) && media.allowedUids.length && !media.allowedUids.includes(req.user.uid)) {
+        return [value, null];
+      }
+      return [value, signMediaLink(id, ttl)];
+    }));
+    res.json({ links: Object.fromEntries(entries) });
+  } catch (e) {
+    console.error('POST /api/media/links error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Reglas de acceso: body { access: 'private'|'staff'|'public', allowedUids?: string[]|null }
+app.patch('/api/media/:id', requireStaff, async (req, res) => {
+  try {
+    if (!(await getMedia(req.params.id))) return res.status(404).json({ error: 'No encontrado' });
+    const media = await updateMediaAccess(req.params.id, req.body || {});
+    res.json(media);
+  } catch (e) {
+    console.error('PATCH /api/media/:id error:', e);
+    res.status(400).json({ error: e?.message || 'bad_request' });
+  }
+});
+
 /* ---------------- Envíos manuales (full / clip / texto / audio) --------- */
 app.post('/api/whatsapp/send-full', async (req, res) => {
-  const { leadId } = req.body;
+  const { leadId, override } = req.body;
   if (!leadId) return res.status(400).json({ error: 'Falta leadId en el body' });
 
   try {
     const leadSnap = await db.collection('leads').doc(leadId).get();
     if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
-    const telefono = String(leadSnap.data().telefono).replace(/\D/g, '');
+    const lead = leadSnap.data();
+    const telefono = normalizePhone(lead.telefono, { region: lead.region });
 
     const musicSnap = await db.collection('musica')
-      .where('leadPhone', '==', telefono)
+      .where('leadPhone', 'in', phoneVariants(lead.telefono, { region: lead.region }))
       .limit(1)
       .get();
     if (musicSnap.empty) return res.status(404).json({ error: 'No hay música para este lead' });
 
-    const fullUrl = musicSnap.docs[0].data().fullUrl;
+    const music = musicSnap.docs[0].data();
+    const fullUrl = await resolveFileUrl(music, 'full');
     if (!fullUrl) return res.status(400).json({ error: 'fullUrl no disponible' });
 
-    await sendClipMessage(telefono, fullUrl); // o sendFullAudioAsDocument(telefono, fullUrl)
+    // en el chat se guarda la ruta /api/media, no la URL firmada de envío
+    const mediaUrl = music.fullMediaId ? mediaPath(music.fullMediaId) : music.fullUrl || null;
+    await sendClipMessage(telefono, fullUrl, { region: lead.region, overrideOptOut: !!override, priority: 'manual', mediaUrl }); // o sendFullAudioAsDocument(telefono, fullUrl)
 
     await musicSnap.docs[0].ref.update({
       status: 'Enviada completa',
@@ -449,30 +720,35 @@ app.post('/api/whatsapp/send-full', async (req, res) => {
 
     return res.json({ success: true });
   } catch (err) {
+    if (err?.code === OPTED_OUT) return res.status(409).json({ error: err.message, code: OPTED_OUT });
+    if (err?.code === RATE_LIMITED) return res.status(429).json({ error: err.message, code: RATE_LIMITED, retryAt: err.retryAt });
     console.error('Error en /api/whatsapp/send-full:', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
 app.post('/api/whatsapp/send-clip', async (req, res) => {
-  const { leadId } = req.body;
+  const { leadId, override } = req.body;
   if (!leadId) return res.status(400).json({ error: 'Falta leadId en el body' });
 
   try {
     const leadSnap = await db.collection('leads').doc(leadId).get();
     if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
-    const telefono = String(leadSnap.data().telefono).replace(/\D/g, '');
+    const lead = leadSnap.data();
+    const telefono = normalizePhone(lead.telefono, { region: lead.region });
 
     const musicSnap = await db.collection('musica')
-      .where('leadPhone', '==', telefono)
+      .where('leadPhone', 'in', phoneVariants(lead.telefono, { region: lead.region }))
       .limit(1)
       .get();
     if (musicSnap.empty) return res.status(404).json({ error: 'No hay clip generado para este lead' });
 
-    const { clipUrl } = musicSnap.docs[0].data();
+    const music = musicSnap.docs[0].data();
+    const clipUrl = await resolveFileUrl(music, 'clip');
     if (!clipUrl) return res.status(400).json({ error: 'Clip aún no disponible' });
 
-    await sendClipMessage(telefono, clipUrl);
+    const mediaUrl = music.clipMediaId ? mediaPath(music.clipMediaId) : music.clipUrl || null;
+    await sendClipMessage(telefono, clipUrl, { region: lead.region, overrideOptOut: !!override, priority: 'manual', mediaUrl });
 
     await musicSnap.docs[0].ref.update({
       status: 'Enviado por botón',
@@ -481,13 +757,15 @@ app.post('/api/whatsapp/send-clip', async (req, res) => {
 
     return res.json({ success: true });
   } catch (err) {
+    if (err?.code === OPTED_OUT) return res.status(409).json({ error: err.message, code: OPTED_OUT });
+    if (err?.code === RATE_LIMITED) return res.status(429).json({ error: err.message, code: RATE_LIMITED, retryAt: err.retryAt });
     console.error('Error enviando clip:', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
 app.post('/api/whatsapp/send-message', async (req, res) => {
-  const { leadId, message } = req.body;
+  const { leadId, message, sessionId, override, humanize } = req.body;
   if (!leadId || !message) {
     return res.status(400).json({ error: 'Faltan leadId o message en el body' });
   }
@@ -496,19 +774,21 @@ app.post('/api/whatsapp/send-message', async (req, res) => {
     const leadSnap = await db.collection('leads').doc(leadId).get();
     if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
 
-    const { telefono } = leadSnap.data();
+    const { telefono, region } = leadSnap.data();
     if (!telefono) return res.status(400).json({ error: 'Lead sin número de teléfono' });
 
-    const result = await sendMessageToLead(telefono, message);
+    const result = await sendMessageToLead(telefono, message, { sessionId, region, overrideOptOut: !!override, priority: 'manual', humanize: humanize || false });
     return res.json(result);
   } catch (error) {
+    if (error?.code === OPTED_OUT) return res.status(409).json({ error: error.message, code: OPTED_OUT });
+    if (error?.code === RATE_LIMITED) return res.status(429).json({ error: error.message, code: RATE_LIMITED, retryAt: error.retryAt });
     console.error('Error enviando mensaje de WhatsApp:', error);
     return res.status(500).json({ error: error.message });
   }
 });
 
 app.post('/api/whatsapp/send-audio', upload.single('audio'), async (req, res) => {
-  const { phone } = req.body;
+  const { phone, sessionId, override } = req.body;
   const uploadPath = req.file.path;
   const m4aPath = `${uploadPath}.m4a`;
 
@@ -522,7 +802,7 @@ app.post('/api/whatsapp/send-audio', upload.single('audio'), async (req, res) =>
         .on('error', reject);
     });
 
-    await sendAudioMessage(phone, m4aPath);
+    await sendAudioMessage(phone, m4aPath, { sessionId, overrideOptOut: override === true || override === 'true', priority: 'manual' });
     fs.unlinkSync(uploadPath);
     fs.unlinkSync(m4aPath);
 
@@ -531,10 +811,74 @@ app.post('/api/whatsapp/send-audio', upload.single('audio'), async (req, res) =>
     console.error('Error enviando audio:', error);
     try { fs.unlinkSync(uploadPath); } catch {}
     try { fs.unlinkSync(m4aPath); } catch {}
+    if (error?.code === OPTED_OUT) return res.status(409).json({ success: false, error: error.message, code: OPTED_OUT });
+    if (error?.code === RATE_LIMITED) return res.status(429).json({ success: false, error: error.message, code: RATE_LIMITED, retryAt: error.retryAt });
     return res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * Imagen / video / audio / documento / sticker desde el inbox.
+ * multipart: file=<archivo>  o  url=<http…>; además leadId, caption, replyTo
+ * (waMessageId a citar), kind (forzar tipo), ptt, sessionId, override.
+ */
+const MEDIA_URL_MAX_BYTES = 64 * 1024 * 1024;
+
+app.post('/api/whatsapp/send-media', upload.single('file'), async (req, res) => {
+  const { leadId, url, caption, replyTo, kind, ptt, sessionId, override, humanize } = req.body || {};
+  const flag = (v) => v === true || v === 'true';
+  const cleanup = () => { if (req.file) fs.unlink(req.file.path, () => {}); };
+
+  if (!leadId) { cleanup(); return res.status(400).json({ error: 'Falta leadId' }); }
+  if (!req.file && !url) return res.status(400).json({ error: 'Falta file o url' });
+  if (kind && !OUTBOUND_KINDS.includes(kind)) {
+    cleanup();
+    return res.status(400).json({ error: `kind debe ser ${OUTBOUND_KINDS.join(', ')}` });
+  }
+
+  try {
+    const leadSnap = await db.collection('leads').doc(leadId).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const { telefono, region } = leadSnap.data();
+    if (!telefono) return res.status(400).json({ error: 'Lead sin número de teléfono' });
+
+    let media;
+    if (req.file) {
+      media = {
+        buffer: fs.readFileSync(req.file.path),
+        mimetype: req.file.mimetype,
+        fileName: req.file.originalname
+      };
+    } else {
+      // solo https público, sin redirecciones (ver utils/remoteMedia.js)
+      media = await fetchRemoteMedia(url, { maxBytes: MEDIA_URL_MAX_BYTES });
+    }
+
+    const result = await sendMediaMessage(telefono, {
+      ...media,
+      kind: kind || null,
+      caption: caption || '',
+      replyTo: replyTo || null,
+      ptt: flag(ptt)
+    }, {
+      sessionId,
+      region,
+      overrideOptOut: flag(override),
+      priority: 'manual',
+      humanize: flag(humanize)
+    });
+    return res.json(result);
+  } catch (error) {
+    if (error?.code === URL_NOT_ALLOWED) return res.status(400).json({ error: error.message, code: URL_NOT_ALLOWED });
+    if (error?.code === OPTED_OUT) return res.status(409).json({ error: error.message, code: OPTED_OUT });
+    if (error?.code === RATE_LIMITED) return res.status(429).json({ error: error.message, code: RATE_LIMITED, retryAt: error.retryAt });
+    console.error('Error enviando media:', error);
+    return res.status(500).json({ error: error.message });
+  } finally {
+    cleanup();
+  }
+});
+
 /* ---------------------- API para encolar secuencias --------------------- */
 app.post('/api/sequences/enqueue', async (req, res) => {
   try {
@@ -545,21 +889,66 @@ app.post('/api/sequences/enqueue', async (req, res) => {
 
     await scheduleSequenceForLead(leadId, trigger, new Date());
 
-    // Si es MusicaLead, cancela recordatorios de captación
-    if (trigger === 'MusicaLead') {
-      const n = await cancelSequences(leadId, ['NuevoLead']);
-      if (n > 0) {
-        await db.collection('leads').doc(leadId).set({ nuevoLeadCancelled: true }, { merge: true });
-      }
-    }
+    // Mismas reglas que messages.upsert (p.ej. MusicaLead cancela NuevoLead)
+    const applied = await applyRulesForTrigger(leadId, trigger);
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, ...applied });
   } catch (e) {
     console.error('enqueue error:', e);
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+/* ------------------ Reglas hashtag/keyword → trigger -------------------- */
+app.get('/api/trigger-rules', async (_req, res) => {
+  try {
+    const items = await listTriggerRules();
+    res.json({ items });
+  } catch (e) {
+    console.error('GET /api/trigger-rules error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Crear / actualizar: { id?, name, matchType, pattern, flags?, trigger, cancelTriggers, leadUpdate, priority, active }
+app.post('/api/trigger-rules', async (req, res) => {
+  try {
+    const body = req.body || {};
+    try {
+      sanitizeRule(body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const saved = await saveTriggerRule(body.id || null, body);
+    res.json(saved);
+  } catch (e) {
+    console.error('POST /api/trigger-rules error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+app.delete('/api/trigger-rules/:id', async (req, res) => {
+  try {
+    await deleteTriggerRule(req.params.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /api/trigger-rules/:id error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Probar un texto contra las reglas activas (no modifica nada)
+app.post('/api/trigger-rules/test', async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    const rule = await evaluateTriggerRules(String(text || ''));
+    res.json({ match: rule });
+  } catch (e) {
+    console.error('POST /api/trigger-rules/test error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
 /* --------------------- POST formulario → flujo completo ----------------- */
 // Corta "NuevoLead", genera empatía (GPT) con retraso y NO inicia MusicaLead aquí
 app.post('/api/lead/after-form', async (req, res) => {
@@ -661,7 +1050,7 @@ Datos:
     // 3) Enviar mensaje de empatía con retraso (1–2 minutos)
     const delayMs = 60_000 + Math.floor(Math.random() * 60_000); // 60–120s
     setTimeout(() => {
-      sendMessageToLead(phone, textoEmpatia).catch(err =>
+      sendMessageToLead(phone, textoEmpatia, { region: lead.region, priority: 'system', humanize: true }).catch(err =>
         console.error('Error enviando empatía diferida:', err)
       );
     }, delayMs);
@@ -675,6 +1064,163 @@ Datos:
   }
 });
 
+/* ------------------------- Opt-out manual (agente) ---------------------- */
+app.post('/api/leads/:id/opt-out', async (req, res) => {
+  try {
+    const leadSnap = await db.collection('leads').doc(req.params.id).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const { confirm = false, language } = req.body || {};
+    const r = await optOutLead(req.params.id, { source: 'agent', confirm: !!confirm, language });
+    return res.json({ ok: true, ...r });
+  } catch (e) {
+    console.error('POST /api/leads/:id/opt-out error:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/api/leads/:id/opt-in', async (req, res) => {
+  try {
+    const leadSnap = await db.collection('leads').doc(req.params.id).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const { confirm = false, language } = req.body || {};
+    await optInLead(req.params.id, { source: 'agent', confirm: !!confirm, language });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('POST /api/leads/:id/opt-in error:', e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* --------------------- Perfil de WhatsApp del lead ---------------------- */
+// Foto, info y perfil de empresa desde WhatsApp (bajo demanda)
+app.post('/api/leads/:id/refresh-profile', async (req, res) => {
+  try {
+    const leadSnap = await db.collection('leads').doc(req.params.id).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const profile = await refreshLeadProfile(req.params.id);
+    res.json({ leadId: req.params.id, profile });
+  } catch (e) {
+    console.error('POST /api/leads/:id/refresh-profile error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+/* --------------- Cola de secuencias: jobs muertos (admin) --------------- */
+function queueJobError(res, e, label) {
+  if (e?.code === JOB_NOT_FOUND) return res.status(404).json({ error: e.message, code: e.code });
+  if (e?.code === JOB_NOT_DEAD) return res.status(409).json({ error: e.message, code: e.code });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: e?.message || 'internal_error' });
+}
+
+app.get('/api/queue/dead', async (req, res) => {
+  try {
+    const { leadId = null, trigger = null } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const items = await listDeadJobs({ leadId, trigger, limit });
+    res.json({ count: items.length, items });
+  } catch (e) {
+    queueJobError(res, e, 'GET /api/queue/dead');
+  }
+});
+
+app.get('/api/queue/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job no encontrado' });
+    res.json(job);
+  } catch (e) {
+    queueJobError(res, e, 'GET /api/queue/jobs/:id');
+  }
+});
+
+// body.at (opcional): fecha ISO en que debe reenviarse
+app.post('/api/queue/dead/:id/replay', async (req, res) => {
+  try {
+    const at = req.body?.at ? new Date(req.body.at) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at inválido' });
+    const job = await replayDeadJob(req.params.id, { at });
+    res.json({ ok: true, job });
+  } catch (e) {
+    queueJobError(res, e, 'POST /api/queue/dead/:id/replay');
+  }
+});
+
+app.delete('/api/queue/dead/:id', async (req, res) => {
+  try {
+    const job = await discardDeadJob(req.params.id);
+    res.json({ ok: true, job });
+  } catch (e) {
+    queueJobError(res, e, 'DELETE /api/queue/dead/:id');
+  }
+});
+
+/* --------------------- Duplicados y fusión de leads --------------------- */
+// Grupos de leads que resuelven al mismo teléfono canónico
+app.get('/api/leads/duplicates', async (_req, res) => {
+  try {
+    const groups = await findDuplicateLeads();
+    res.json({ count: groups.length, groups });
+  } catch (e) {
+    console.error('GET /api/leads/duplicates error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// Fusiona body.duplicateIds en :id (superviviente)
+app.post('/api/leads/:id/merge', async (req, res) => {
+  const { duplicateIds, force = false, by = null } = req.body || {};
+  if (!Array.isArray(duplicateIds) || !duplicateIds.length) {
+    return res.status(400).json({ error: 'duplicateIds debe ser un array no vacío' });
+  }
+  try {
+    const result = await mergeLeads(req.params.id, duplicateIds.map(String), { force: !!force, by });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e?.code === LEAD_NOT_FOUND) return res.status(404).json({ error: e.message, code: e.code });
+    if (e?.code === PHONE_MISMATCH) return res.status(409).json({ error: e.message, code: e.code });
+    console.error('POST /api/leads/:id/merge error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+/* ------------ Secuencias del lead: control manual (agentes) ------------- */
+app.get('/api/leads/:id/sequences', async (req, res) => {
+  try {
+    const leadSnap = await db.collection('leads').doc(req.params.id).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const items = await listLeadSequences(req.params.id);
+    res.json({ leadId: req.params.id, items });
+  } catch (e) {
+    console.error('GET /api/leads/:id/sequences error:', e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
+// body: { trigger?, by? } — sin trigger aplica a todas las secuencias del lead
+const SEQUENCE_ACTIONS = {
+  pause: async (leadId, opts) => ({ jobs: await pauseLeadSequences(leadId, opts) }),
+  resume: async (leadId, opts) => ({ jobs: await resumeLeadSequences(leadId, opts) }),
+  'skip-next': skipNextStep,
+  'send-next-now': sendNextStepNow
+};
+
+app.post('/api/leads/:id/sequences/:action', async (req, res) => {
+  const run = SEQUENCE_ACTIONS[req.params.action];
+  if (!run) return res.status(404).json({ error: `Acción no soportada: ${req.params.action}` });
+  try {
+    const leadSnap = await db.collection('leads').doc(req.params.id).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    const { trigger = null, by = null } = req.body || {};
+    const result = await run(req.params.id, { trigger, by });
+    res.json({ ok: true, ...result, items: await listLeadSequences(req.params.id) });
+  } catch (e) {
+    if (e?.code === NO_PENDING_STEP) return res.status(409).json({ error: e.message, code: e.code });
+    console.error(`POST /api/leads/:id/sequences/${req.params.action} error:`, e);
+    res.status(500).json({ error: e?.message || 'internal_error' });
+  }
+});
+
 /* ----------------------- Marcar como leídos (UI) ------------------------ */
 app.post('/api/whatsapp/mark-read', async (req, res) => {
   const { leadId } = req.body;
@@ -787,7 +1333,7 @@ app.get('/api/music/stream/:token', async (req, res) => {
     // }
 
     // Proxy del archivo (usa clipUrl si es el que quieres limitar)
-    const fileUrl = data.clipUrl || data.fullUrl;
+    const fileUrl = (await resolveFileUrl(data, 'clip')) || (await resolveFileUrl(data, 'full'));
     if (!fileUrl) return res.status(404).send('Archivo no disponible');
 
     // Descargar por streaming y reenviar (sin descarga)
@@ -823,8 +1369,8 @@ app.post('/api/music/progress', async (req, res) => {
     const doc = qs.docs[0];
     const data = doc.data();
 
-    // marca “>=50% escuchado”
-    await doc.ref.set({ 'listen.halfHeard': true }, { merge: true });
+    // marca “>=50% escuchado” (update: la ruta con punto es el campo anidado)
+    await doc.ref.update({ 'listen.halfHeard': true });
 
     if (data.leadId) {
       // 1) Desactivar MusicaLead
@@ -844,7 +1390,7 @@ app.post('/api/music/progress', async (req, res) => {
 /* ------------------- Arranque + conexión WhatsApp ----------------------- */
 app.listen(port, () => {
   console.log(`Servidor corriendo en el puerto ${port}`);
-  connectToWhatsApp().catch(err =>
+  connectAllSessions().catch(err =>
     console.error('Error al conectar WhatsApp en startup:', err)
   );
 });
@@ -862,3 +1408,8 @@ cron.schedule('*/2 * * * *', generarMusicaConSuno);
 cron.schedule('*/2 * * * *', procesarClips);
 cron.schedule('*/1 * * * *', enviarMusicaPorWhatsApp);
 cron.schedule('*/5 * * * *', () => retryStuckMusic(10));
+
+// Perfiles de WhatsApp (foto / info / empresa) vencidos
+cron.schedule('17 * * * *', () => {
+  refreshStaleProfiles().catch(err => console.error('Error en refreshStaleProfiles:', err));
+});
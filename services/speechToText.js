@@ -0,0 +1,104 @@
+// services/speechToText.js
+import axios from 'axios';
+
+/**
+ * Transcripción de notas de voz detrás de una interfaz intercambiable:
+ *   provider.transcribe(buffer, { mimetype, language, prompt }) → { text, language, duration }
+ *
+ * STT_PROVIDER:
+ *   'whisper' (default si hay OPENAI_API_KEY) → OpenAI /v1/audio/transcriptions
+ *   'stub'    → texto fijo (STT_STUB_TEXT), para pruebas locales
+ *   'none'    → desactivado
+ */
+
+const WHISPER_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const WHISPER_MAX_BYTES = 25 * 1024 * 1024; // límite de la API
+
+const EXT_BY_MIME = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+};
+
+export function createWhisperProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.STT_WHISPER_MODEL || 'whisper-1',
+} = {}) {
+  if (!apiKey) throw new Error('Falta OPENAI_API_KEY para Whisper');
+
+  return {
+    name: 'whisper',
+    async transcribe(buffer, { mimetype = 'audio/ogg', language, prompt } = {}) {
+      if (buffer.length > WHISPER_MAX_BYTES) throw new Error('Audio demasiado grande para Whisper (25 MB)');
+
+      const baseMime = String(mimetype).split(';')[0].trim();
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: baseMime }), `audio.${EXT_BY_MIME[baseMime] || 'ogg'}`);
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      if (language) form.append('language', language);
+      if (prompt) form.append('prompt', prompt);
+
+      const { data } = await axios.post(WHISPER_URL, form, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 120_000,
+        maxBodyLength: Infinity,
+      });
+      return {
+        text: String(data?.text || '').trim(),
+        language: data?.language || language || null,
+        duration: Number.isFinite(data?.duration) ? data.duration : null,
+      };
+    },
+  };
+}
+
+export function createStubProvider({ text = process.env.STT_STUB_TEXT || '' } = {}) {
+  return {
+    name: 'stub',
+    async transcribe(_buffer, { language } = {}) {
+      return { text, language: language || null, duration: null };
+    },
+  };
+}
+
+let provider; // undefined = sin resolver, null = desactivado
+
+function resolveProvider() {
+  const mode = process.env.STT_PROVIDER || (process.env.OPENAI_API_KEY ? 'whisper' : 'none');
+  switch (mode) {
+    case 'whisper': return createWhisperProvider();
+    case 'stub': return createStubProvider();
+    case 'none': return null;
+    default:
+      console.warn(`[stt] STT_PROVIDER desconocido: ${mode}; transcripción desactivada`);
+      return null;
+  }
+}
+
+export function getSpeechToText() {
+  if (provider === undefined) provider = resolveProvider();
+  return provider;
+}
+
+/** Reemplaza el proveedor (pruebas u otro motor). null lo desactiva. */
+export function setSpeechToText(custom) {
+  provider = custom;
+}
+
+/**
+ * Transcribe con el proveedor activo.
+ * @returns {Promise<{ text, language, duration, provider }|null>} null si no hay proveedor
+ */
+export async function transcribeAudio(buffer, opts = {}) {
+  const stt = getSpeechToText();
+  if (!stt) return null;
+  const result = await stt.transcribe(buffer, {
+    ...opts,
+    language: opts.language || process.env.STT_LANGUAGE || undefined,
+  });
+  return { ...result, provider: stt.name };
+}
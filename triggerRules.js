@@ -0,0 +1,242 @@
+// triggerRules.js
+import { db, admin } from './firebaseAdmin.js';
+import { scheduleSequenceForLead, cancelSequences } from './queue.js';
+
+const { FieldValue } = admin.firestore;
+
+const rulesColl = db.collection('triggerRules');
+const CACHE_MS = 60_000;
+
+/**
+ * Reglas que existían hardcodeadas en messages.upsert / enqueue.
+ * Se siembran en triggerRules la primera vez que la colección está vacía.
+ */
+const DEFAULT_RULES = [
+  { id: 'webPro1490', matchType: 'hashtag', pattern: 'webPro1490', trigger: 'LeadWeb1490', cancelTriggers: [], priority: 30 },
+  { id: 'musicaLead', matchType: 'regex', pattern: '#musicale(a)?d', trigger: 'MusicaLead', cancelTriggers: ['NuevoLead'], priority: 20 },
+  { id: 'nuevoLead', matchType: 'hashtag', pattern: 'nuevolead', trigger: 'NuevoLead', cancelTriggers: [], priority: 10 },
+];
+
+export const MATCH_TYPES = ['keyword', 'hashtag', 'regex'];
+// flags de regex aceptados: g/y harían al RegExp cacheado con estado (lastIndex)
+export const REGEX_FLAGS = ['i', 'm', 's', 'u'];
+
+// campos del lead que una regla puede fijar con leadUpdate; el resto
+// (etiquetas, optedOut, sessionId, contadores…) lo maneja el propio CRM
+export const LEAD_UPDATE_FIELDS = ['estado', 'source', 'negocio', 'giro', 'descripcion', 'region', 'timezone'];
+
+// campos opcionales de la regla: si el body no los trae se borran al guardar
+const OPTIONAL_FIELDS = ['flags', 'leadUpdate', 'name'];
+
+let cache = { at: 0, rules: null };
+// regla cargada → RegExp compilado al cargar (no en cada mensaje)
+const compiled = new WeakMap();
+
+/* ----------------------------- utilidades ------------------------------ */
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stripAccents(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/** Compila el patrón de una regla a RegExp (lanza si el regex es inválido) */
+export function compileRulePattern({ matchType = 'keyword', pattern = '', flags }) {
+  const p = String(pattern).trim();
+  if (!p) throw new Error('pattern requerido');
+
+  switch (matchType) {
+    case 'hashtag':
+      return new RegExp(`#${escapeRegex(p.replace(/^#/, ''))}(?![\\w])`, 'i');
+    case 'regex':
+      // reglas guardadas antes de validar flags: sin g/y
+      return new RegExp(p, String(flags || 'i').replace(/[gy]/g, ''));
+    case 'keyword':
+      // palabra completa, sin distinguir mayúsculas ni acentos
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(stripAccents(p))}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    default:
+      throw new Error(`matchType inválido: ${matchType}`);
+  }
+}
+
+function ruleMatches(rule, text) {
+  const re = compiled.get(rule);
+  if (!re) return false;
+  return re.test(rule.matchType === 'keyword' ? stripAccents(text) : text);
+}
+
+/** Solo los campos de LEAD_UPDATE_FIELDS (reglas guardadas antes del filtro) */
+function pickLeadUpdate(leadUpdate) {
+  if (!leadUpdate || typeof leadUpdate !== 'object' || Array.isArray(leadUpdate)) return {};
+  return Object.fromEntries(Object.entries(leadUpdate).filter(([k]) => LEAD_UPDATE_FIELDS.includes(k)));
+}
+
+/* ------------------------------ carga ---------------------------------- */
+
+/** Reglas activas ordenadas por prioridad (desc). Cache de 60 s. */
+export async function loadTriggerRules({ force = false } = {}) {
+  if (!force && cache.rules && Date.now() - cache.at < CACHE_MS) return cache.rules;
+
+  let snap = await rulesColl.get();
+  if (snap.empty) {
+    const batch = db.batch();
+    DEFAULT_RULES.forEach(({ id, ...r }) =>
+      batch.set(rulesColl.doc(id), { ...r, active: true, createdAt: FieldValue.serverTimestamp() })
+    );
+    await batch.commit();
+    snap = await rulesColl.get();
+  }
+
+  const rules = snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(r => r.active !== false)
+    .filter(r => {
+      try {
+        compiled.set(r, compileRulePattern(r));
+        return true;
+      } catch (err) {
+        console.warn(`[triggerRules] regla ${r.id} inválida:`, err.message);
+        return false;
+      }
+    })
+    .sort((a, b) => Number(b.priority || 0) - Number(a.priority || 0));
+
+  cache = { at: Date.now(), rules };
+  return rules;
+}
+
+export function invalidateTriggerRules() {
+  cache = { at: 0, rules: null };
+}
+
+/* ----------------------------- evaluación ------------------------------ */
+
+/** Primera regla (por prioridad) que hace match con el texto, o null */
+export async function evaluateTriggerRules(text) {
+  if (!text) return null;
+  const rules = await loadTriggerRules();
+  return rules.find(r => ruleMatches(r, text)) || null;
+}
+
+/**
+ * Aplica una regla a un lead:
+ * - añade rule.trigger a etiquetas y programa su secuencia si no la tenía
+ *   (skipSchedule si quien llama ya la programó)
+ * - cancela rule.cancelTriggers
+ * - aplica rule.leadUpdate (merge, solo LEAD_UPDATE_FIELDS)
+ */
+export async function applyRuleToLead(leadId, rule, { skipSchedule = false } = {}) {
+  if (!leadId || !rule?.trigger) return { scheduled: 0, cancelled: 0 };
+
+  const leadRef = db.collection('leads').doc(leadId);
+  const cur = (await leadRef.get()).data() || {};
+  const hadTag = Array.isArray(cur.etiquetas) && cur.etiquetas.includes(rule.trigger);
+
+  const upd = { etiquetas: FieldValue.arrayUnion(rule.trigger) };
+  Object.assign(upd, pickLeadUpdate(rule.leadUpdate));
+  await leadRef.set(upd, { merge: true });
+
+  let scheduled = 0;
+  if (!hadTag && !skipSchedule) {
+    scheduled = await scheduleSequenceForLead(leadId, rule.trigger);
+  }
+
+  let cancelled = 0;
+  const toCancel = Array.isArray(rule.cancelTriggers) ? rule.cancelTriggers : [];
+  if (toCancel.length) {
+    cancelled = await cancelSequences(leadId, toCancel);
+    if (cancelled) {
+      const flags = { cancelledTriggers: FieldValue.arrayUnion(...toCancel) };
+      // compat: scheduler.js revisa este flag
+      if (toCancel.includes('NuevoLead')) flags.nuevoLeadCancelled = true;
+      await leadRef.set(flags, { merge: true });
+    }
+  }
+
+  return { scheduled, cancelled };
+}
+
+/**
+ * Para /api/sequences/enqueue: aplica las reglas cuyo trigger coincide
+ * (cancelaciones y leadUpdate) sin volver a programar la secuencia.
+ */
+export async function applyRulesForTrigger(leadId, trigger) {
+  const rules = await loadTriggerRules();
+  const matching = rules.filter(r => r.trigger === trigger);
+  let cancelled = 0;
+  for (const rule of matching) {
+    const r = await applyRuleToLead(leadId, rule, { skipSchedule: true });
+    cancelled += r.cancelled;
+  }
+  return { rules: matching.map(r => r.id), cancelled };
+}
+
+/* ------------------------------- CRUD ---------------------------------- */
+
+/** Valida y normaliza el body de una regla. Lanza Error con mensaje legible. */
+export function sanitizeRule(body = {}) {
+  const matchType = String(body.matchType || 'keyword');
+  if (!MATCH_TYPES.includes(matchType)) throw new Error(`matchType debe ser ${MATCH_TYPES.join(', ')}`);
+
+  const trigger = String(body.trigger || '').trim();
+  if (!trigger) throw new Error('trigger requerido');
+
+  const rule = {
+    matchType,
+    pattern: String(body.pattern || '').trim(),
+    trigger,
+    cancelTriggers: Array.isArray(body.cancelTriggers) ? body.cancelTriggers.map(String).filter(Boolean) : [],
+    priority: Number(body.priority || 0),
+    active: body.active !== false,
+  };
+  if (body.flags) {
+    const flags = String(body.flags);
+    const invalid = [...flags].filter(f => !REGEX_FLAGS.includes(f));
+    if (invalid.length) throw new Error(`flags no permitidos: ${invalid.join('')} (permitidos: ${REGEX_FLAGS.join('')})`);
+    rule.flags = [...new Set(flags)].join('');
+  }
+  if (body.leadUpdate && typeof body.leadUpdate === 'object' && !Array.isArray(body.leadUpdate)) {
+    const invalid = Object.keys(body.leadUpdate).filter(k => !LEAD_UPDATE_FIELDS.includes(k));
+    if (invalid.length) {
+      throw new Error(`leadUpdate no permite: ${invalid.join(', ')} (permitidos: ${LEAD_UPDATE_FIELDS.join(', ')})`);
+    }
+    if (Object.keys(body.leadUpdate).length) rule.leadUpdate = body.leadUpdate;
+  }
+  if (body.name) rule.name = String(body.name);
+
+  compileRulePattern(rule); // lanza si es inválido
+  return rule;
+}
+
+export async function saveTriggerRule(id, body) {
+  const rule = sanitizeRule(body);
+  const ref = id ? rulesColl.doc(id) : rulesColl.doc();
+  const data = {
+    ...rule,
+    updatedAt: FieldValue.serverTimestamp(),
+    ...(id ? {} : { createdAt: FieldValue.serverTimestamp() })
+  };
+  // el body es la regla completa: lo que no trae se borra (p. ej. leadUpdate null / {})
+  for (const k of OPTIONAL_FIELDS) {
+    if (data[k] === undefined) data[k] = FieldValue.delete();
+  }
+  // mergeFields reemplaza cada campo entero (un merge normal fusionaría leadUpdate)
+  await ref.set(data, { mergeFields: Object.keys(data) });
+  invalidateTriggerRules();
+  const saved = await ref.get();
+  return { id: ref.id, ...saved.data() };
+}
+
+export async function deleteTriggerRule(id) {
+  await rulesColl.doc(id).delete();
+  invalidateTriggerRules();
+}
+
+export async function listTriggerRules() {
+  await loadTriggerRules(); // siembra si está vacía
+  const snap = await rulesColl.get();
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => Number(b.priority || 0) - Number(a.priority || 0));
+}
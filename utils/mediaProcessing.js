@@ -0,0 +1,223 @@
+// utils/mediaProcessing.js
+import sharp from 'sharp';
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Procesado de media entrante para que el inbox cargue rápido en móvil:
+ *   - imágenes/stickers: MIME real, EXIF fuera, variante web y miniatura
+ *   - videos: fotograma de portada (poster) con ffmpeg
+ * Devuelve buffers; la subida a Storage la hace whatsappService.
+ */
+
+const WEB_MAX = 1280;
+const THUMB_MAX = 320;
+
+const FORMAT_MIME = {
+  jpeg: { mimetype: 'image/jpeg', ext: '.jpg' },
+  png: { mimetype: 'image/png', ext: '.png' },
+  webp: { mimetype: 'image/webp', ext: '.webp' },
+  gif: { mimetype: 'image/gif', ext: '.gif' },
+  heif: { mimetype: 'image/heic', ext: '.heic' },
+  avif: { mimetype: 'image/avif', ext: '.avif' },
+  tiff: { mimetype: 'image/tiff', ext: '.tiff' },
+};
+
+/**
+ * MIME real a partir del contenido (no del mimetype que declara WhatsApp).
+ * Stickers y animaciones se re-codifican a webp animado (conserva los
+ * fotogramas y quita EXIF/XMP) y solo reciben miniatura.
+ * @param {Buffer} buffer
+ * @param {{ sticker?: boolean }} opts
+ * @returns {Promise<{ mimetype, ext, width, height, original: Buffer, web: Buffer|null, thumb: Buffer }>}
+ */
+export async function processInboundImage(buffer, { sticker = false } = {}) {
+  const meta = await sharp(buffer).metadata();
+  const type = FORMAT_MIME[meta.format];
+  if (!type) throw new Error(`Formato de imagen no soportado: ${meta.format}`);
+
+  // miniatura: primer fotograma, orientada según EXIF
+  const thumb = await sharp(buffer)
+    .rotate()
+    .resize(THUMB_MAX, THUMB_MAX, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 60 })
+    .toBuffer();
+
+  if (sticker || (meta.pages || 1) > 1) {
+    // sin withMetadata: sharp no copia EXIF (datos del pack del sticker, GPS…)
+    const original = await sharp(buffer, { animated: true }).webp({ quality: 90 }).toBuffer();
+    return { ...FORMAT_MIME.webp, width: meta.width, height: meta.height, original, web: null, thumb };
+  }
+
+  // original sin metadatos (sharp no copia EXIF/GPS salvo withMetadata)
+  const original = await sharp(buffer).rotate().toFormat(meta.format === 'heif' ? 'jpeg' : meta.format).toBuffer();
+  const finalType = meta.format === 'heif' ? FORMAT_MIME.jpeg : type;
+
+  const web = await sharp(buffer)
+    .rotate()
+    .resize(WEB_MAX, WEB_MAX, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  // tras rotate() el ancho/alto pueden intercambiarse (orientación 5–8)
+  const swapped = (meta.orientation || 1) >= 5;
+  return {
+    ...finalType,
+    width: swapped ? meta.height : meta.width,
+    height: swapped ? meta.width : meta.height,
+    original,
+    web,
+    thumb,
+  };
+}
+
+/**
+ * Fotograma de portada de un video (segundo 1, o el primero si dura menos).
+ * @returns {Promise<{ poster: Buffer, thumb: Buffer, width, height }>}
+ */
+export async function extractVideoPoster(buffer) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'poster-'));
+  const input = path.join(tmp, 'input.mp4');
+  const frame = path.join(tmp, 'frame.jpg');
+  fs.writeFileSync(input, buffer);
+
+  const grab = (seek) => new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .seekInput(seek)
+      .frames(1)
+      .output(frame)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+
+  try {
+    await grab(1);
+    if (!fs.existsSync(frame) || !fs.statSync(frame).size) await grab(0);
+
+    const raw = fs.readFileSync(frame);
+    const poster = await sharp(raw)
+      .resize(WEB_MAX, WEB_MAX, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await sharp(raw)
+      .resize(THUMB_MAX, THUMB_MAX, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 60 })
+      .toBuffer();
+
+    return { poster: poster.data, thumb, width: poster.info.width, height: poster.info.height };
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/* ------------------------------ salientes ------------------------------ */
+
+// Límites de WhatsApp para que el archivo llegue como media y no falle
+const WA_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const WA_VIDEO_MAX_BYTES = 16 * 1024 * 1024;
+const WA_IMAGE_MIMES = ['image/jpeg', 'image/png'];
+const WA_AUDIO_MIMES = ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac'];
+
+export const OUTBOUND_KINDS = ['image', 'video', 'audio', 'document', 'sticker'];
+
+/** Tipo de envío a partir del mimetype (si no se forzó uno) */
+export function outboundKindFor(mimetype = '') {
+  const base = String(mimetype).split(';')[0].trim();
+  if (base.startsWith('image/')) return 'image';
+  if (base.startsWith('video/')) return 'video';
+  if (base.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/** ffmpeg sobre archivos temporales: buffer de entrada → buffer de salida */
+async function transcode(buffer, outExt, configure) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-'));
+  const input = path.join(tmp, 'input');
+  const output = path.join(tmp, `output${outExt}`);
+  fs.writeFileSync(input, buffer);
+  try {
+    await new Promise((resolve, reject) => {
+      configure(ffmpeg(input))
+        .output(output)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+    return fs.readFileSync(output);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Deja el archivo en un formato que WhatsApp acepta:
+ *   image   → JPEG/PNG ≤ 5 MB (HEIC, WebP, AVIF… se pasan a JPEG)
+ *   sticker → WebP 512×512
+ *   video   → MP4 H.264/AAC (faststart); si supera 16 MB se envía como documento
+ *   audio   → OGG/MP3/M4A tal cual; nota de voz (ptt) siempre OGG Opus
+ *   document→ sin cambios
+ * @returns {Promise<{ kind, buffer, mimetype, ext, transcoded: boolean }>}
+ */
+export async function prepareOutboundMedia({ buffer, mimetype = '', kind = null, ptt = false }) {
+  const base = String(mimetype).split(';')[0].trim().toLowerCase();
+  const k = kind || outboundKindFor(base);
+
+  if (k === 'sticker') {
+    const out = await sharp(buffer, { animated: true })
+      .resize(512, 512, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .webp({ quality: 80 })
+      .toBuffer();
+    return { kind: k, buffer: out, mimetype: 'image/webp', ext: '.webp', transcoded: true };
+  }
+
+  if (k === 'image') {
+    if (WA_IMAGE_MIMES.includes(base) && buffer.length <= WA_IMAGE_MAX_BYTES) {
+      return { kind: k, buffer, mimetype: base, ext: base === 'image/png' ? '.png' : '.jpg', transcoded: false };
+    }
+    const out = await sharp(buffer)
+      .rotate()
+      .resize(2048, 2048, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 82 })
+      .toBuffer();
+    return { kind: k, buffer: out, mimetype: 'image/jpeg', ext: '.jpg', transcoded: true };
+  }
+
+  if (k === 'video') {
+    let out = buffer;
+    let transcoded = false;
+    if (base !== 'video/mp4') {
+      out = await transcode(buffer, '.mp4', cmd => cmd
+        .videoCodec('libx264')
+        .audioCodec('aac')
+        .outputOptions(['-pix_fmt yuv420p', '-movflags +faststart', '-preset veryfast', '-crf 28']));
+      transcoded = true;
+    }
+    if (out.length > WA_VIDEO_MAX_BYTES) {
+      return { kind: 'document', buffer: out, mimetype: 'video/mp4', ext: '.mp4', transcoded };
+    }
+    return { kind: k, buffer: out, mimetype: 'video/mp4', ext: '.mp4', transcoded };
+  }
+
+  if (k === 'audio') {
+    if (ptt && base !== 'audio/ogg') {
+      const out = await transcode(buffer, '.ogg', cmd => cmd
+        .noVideo()
+        .audioCodec('libopus')
+        .audioChannels(1)
+        .outputOptions(['-b:a 32k']));
+      return { kind: k, buffer: out, mimetype: 'audio/ogg; codecs=opus', ext: '.ogg', transcoded: true };
+    }
+    if (WA_AUDIO_MIMES.includes(base)) {
+      const ext = { 'audio/ogg': '.ogg', 'audio/mpeg': '.mp3' }[base] || '.m4a';
+      const mt = base === 'audio/ogg' ? 'audio/ogg; codecs=opus' : base;
+      return { kind: k, buffer, mimetype: mt, ext, transcoded: false };
+    }
+    const out = await transcode(buffer, '.m4a', cmd => cmd.noVideo().audioCodec('aac').format('ipod'));
+    return { kind: k, buffer: out, mimetype: 'audio/mp4', ext: '.m4a', transcoded: true };
+  }
+
+  return { kind: 'document', buffer, mimetype: base || 'application/octet-stream', ext: '', transcoded: false };
+}
@@ -0,0 +1,82 @@
+// utils/phone.js
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+/**
+ * Normalización de teléfonos para todo el CRM.
+ *
+ * - Forma canónica (la que se guarda en leads.telefono): E.164 sin '+'.
+ *   Ej. US 3055551234 → "13055551234", MX 3311666302 → "523311666302".
+ * - México: WhatsApp sigue identificando los móviles como 521XXXXXXXXXX.
+ *   La forma canónica quita ese "1"; el JID lo conserva.
+ * - Números de 10 dígitos se interpretan con la región por defecto
+ *   (lead.region → sesión → DEFAULT_PHONE_REGION → 'US').
+ */
+
+export const DEFAULT_REGION = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+const MX_LEGACY_RE = /^521(\d{10})$/;
+
+function pickRegion(region) {
+  return String(region || DEFAULT_REGION).toUpperCase();
+}
+
+/** Parsea a un objeto PhoneNumber de libphonenumber-js (o null) */
+export function parsePhone(raw, { region } = {}) {
+  const str = String(raw || '').split('@')[0].split(':')[0].trim();
+  let digits = str.replace(/\D/g, '');
+  if (!digits) return null;
+
+  // 521XXXXXXXXXX (legado MX / JID de WhatsApp) → 52XXXXXXXXXX
+  const legacy = digits.match(MX_LEGACY_RE);
+  if (legacy) digits = `52${legacy[1]}`;
+
+  const intl = parsePhoneNumberFromString(`+${digits}`);
+  if (str.startsWith('+') || legacy) return intl || null;
+
+  const national = parsePhoneNumberFromString(digits, pickRegion(region));
+  if (national?.isValid()) return national;
+  if (intl?.isValid()) return intl;
+  if (national?.isPossible()) return national;
+  return intl || national || null;
+}
+
+/**
+ * Forma canónica: E.164 sin '+'. Si no se puede parsear devuelve solo dígitos.
+ */
+export function normalizePhone(raw, opts = {}) {
+  const p = parsePhone(raw, opts);
+  if (p) return p.number.replace(/^\+/, '');
+  return String(raw || '').split('@')[0].replace(/\D/g, '');
+}
+
+/** JID de WhatsApp para un teléfono (MX → 521 + número nacional) */
+export function toWhatsAppJid(raw, opts = {}) {
+  const p = parsePhone(raw, opts);
+  let user = normalizePhone(raw, opts);
+  if (p?.countryCallingCode === '52') user = `521${p.nationalNumber}`;
+  return `${user}@s.whatsapp.net`;
+}
+
+/**
+ * Variantes con las que un mismo número puede estar guardado
+ * (canónica, legado MX 521, dígitos crudos). Útil para where('telefono', 'in', …).
+ * El número nacional a secas solo si el país es la región por defecto: de
+ * otro país chocaría con números locales (p. ej. +44 20… vs 20… de US).
+ */
+export function phoneVariants(raw, opts = {}) {
+  const out = new Set();
+  const canonical = normalizePhone(raw, opts);
+  if (canonical) out.add(canonical);
+
+  const p = parsePhone(raw, opts);
+  if (p?.countryCallingCode === '52') {
+    out.add(`52${p.nationalNumber}`);
+    out.add(`521${p.nationalNumber}`);
+  }
+  if (p?.nationalNumber && p.country === pickRegion(opts.region)) out.add(String(p.nationalNumber));
+
+  const digits = String(raw || '').split('@')[0].replace(/\D/g, '');
+  if (digits) out.add(digits);
+
+  return [...out].slice(0, 10); // límite de Firestore para 'in'
+}
@@ -0,0 +1,116 @@
+// utils/remoteMedia.js
+import axios from 'axios';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+
+/**
+ * Descarga de archivos desde URLs que manda el cliente (send-media).
+ * Evita SSRF: solo https, sin redirecciones, y la IP resuelta no puede ser
+ * privada / loopback / link-local (metadata de la nube) / reservada.
+ * La conexión se fija a la IP ya validada (sin re-resolver: DNS rebinding).
+ * MEDIA_URL_ALLOWED_HOSTS (opcional, "cdn.ejemplo.com,.midominio.com")
+ * restringe además los hosts permitidos.
+ */
+
+export const URL_NOT_ALLOWED = 'URL_NOT_ALLOWED';
+
+function notAllowed(message) {
+  const err = new Error(message);
+  err.code = URL_NOT_ALLOWED;
+  return err;
+}
+
+function ipv4Blocked(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127
+    || (a === 100 && b >= 64 && b <= 127)   // CGNAT
+    || (a === 169 && b === 254)             // link-local / metadata
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0)
+    || (a === 198 && (b === 18 || b === 19)) // benchmarking
+    || a >= 224;                            // multicast / reservadas
+}
+
+function ipv6Blocked(ip) {
+  const v = ip.toLowerCase();
+  const mapped = v.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return ipv4Blocked(mapped[1]);
+  // ::ffff:7f00:1 (forma hex que devuelve new URL)
+  const hex = v.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return ipv4Blocked(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return v === '::' || v === '::1'
+    || v.startsWith('fc') || v.startsWith('fd')   // unique-local
+    || /^fe[89ab]/.test(v)                        // link-local
+    || v.startsWith('ff');                        // multicast
+}
+
+/** true si la IP no debe alcanzarse desde el servidor */
+export function isBlockedAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return ipv4Blocked(ip);
+  if (family === 6) return ipv6Blocked(ip);
+  return true;
+}
+
+function hostAllowed(hostname) {
+  const list = String(process.env.MEDIA_URL_ALLOWED_HOSTS || '')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  if (!list.length) return true;
+  const host = hostname.toLowerCase();
+  return list.some(h => (h.startsWith('.') ? host.endsWith(h) || host === h.slice(1) : host === h));
+}
+
+/** Valida la URL y devuelve { url, address, family } con la IP a usar */
+export async function resolvePublicUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    throw notAllowed('URL inválida');
+  }
+  if (url.protocol !== 'https:') throw notAllowed('Solo se aceptan URLs https');
+  if (url.username || url.password) throw notAllowed('URL con credenciales no permitida');
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!hostAllowed(hostname)) throw notAllowed(`Host no permitido: ${hostname}`);
+
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+  if (!addresses.length) throw notAllowed(`No se pudo resolver ${hostname}`);
+  if (addresses.some(a => isBlockedAddress(a.address))) {
+    throw notAllowed(`Host con dirección no permitida: ${hostname}`);
+  }
+  return { url, ...addresses[0] };
+}
+
+/**
+ * GET de la URL con las restricciones de arriba.
+ * @returns {Promise<{ buffer: Buffer, mimetype: string, fileName: string|null }>}
+ */
+export async function fetchRemoteMedia(raw, { maxBytes, timeout = 60_000 } = {}) {
+  const { url, address, family } = await resolvePublicUrl(raw);
+  const httpsAgent = new https.Agent({
+    // Node ≥ 20 puede pedir { all: true } (autoSelectFamily)
+    lookup: (_host, opts, cb) => (opts?.all ? cb(null, [{ address, family }]) : cb(null, address, family)),
+  });
+
+  const r = await axios.get(url.toString(), {
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+    maxRedirects: 0,
+    timeout,
+    httpsAgent,
+    proxy: false,
+  });
+  return {
+    buffer: Buffer.from(r.data),
+    mimetype: r.headers['content-type'] || 'application/octet-stream',
+    fileName: decodeURIComponent(path.basename(url.pathname)) || null,
+  };
+}
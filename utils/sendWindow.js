@@ -0,0 +1,98 @@
+// utils/sendWindow.js
+
+/**
+ * Ventanas de envío ("quiet hours").
+ * Forma: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] }
+ *   - start/end en hora local del lead (end exclusivo, start < end)
+ *   - days: 0 = domingo … 6 = sábado (omitido = todos los días)
+ */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function toMinutes(hhmm) {
+  const m = String(hhmm || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const v = Number(m[1]) * 60 + Number(m[2]);
+  return v >= 0 && v <= 24 * 60 ? v : null;
+}
+
+/** Ventana normalizada o null si no hay restricción / es inválida */
+export function normalizeSendWindow(win) {
+  if (!win || typeof win !== 'object') return null;
+  const start = toMinutes(win.start ?? '00:00');
+  const end = toMinutes(win.end ?? '24:00');
+  if (start === null || end === null || start >= end) return null;
+
+  const days = Array.isArray(win.days) && win.days.length
+    ? win.days.map(Number).filter(d => d >= 0 && d <= 6)
+    : [0, 1, 2, 3, 4, 5, 6];
+  if (!days.length) return null;
+
+  return { start, end, days };
+}
+
+/** Partes de fecha/hora locales de `date` en `timeZone` */
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+  const get = (t) => parts.find(p => p.type === t)?.value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    weekday: WEEKDAYS[get('weekday')],
+  };
+}
+
+/** Offset (ms) de timeZone respecto a UTC en el instante `date` */
+function tzOffset(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, Math.floor(p.minutes / 60), p.minutes % 60);
+  return asUTC - Math.floor(date.getTime() / 60_000) * 60_000;
+}
+
+/** Instante UTC de una hora local (y/m/d + minutos) en timeZone */
+function fromLocal(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  let ts = guess - tzOffset(new Date(guess), timeZone);
+  ts = guess - tzOffset(new Date(ts), timeZone); // segunda pasada por cambios de horario
+  return new Date(ts);
+}
+
+export function isWithinSendWindow(date, win, timeZone) {
+  const w = normalizeSendWindow(win);
+  if (!w) return true;
+  const p = localParts(date, timeZone);
+  return w.days.includes(p.weekday) && p.minutes >= w.start && p.minutes < w.end;
+}
+
+/**
+ * Siguiente instante permitido >= date. Si date ya cae dentro de la
+ * ventana se devuelve tal cual.
+ */
+export function nextAllowedSlot(date, win, timeZone) {
+  const w = normalizeSendWindow(win);
+  const d = new Date(date);
+  if (!w || isWithinSendWindow(d, win, timeZone)) return d;
+
+  const p = localParts(d, timeZone);
+  for (let i = 0; i <= 7; i++) {
+    // mediodía UTC del día i para avanzar por fecha sin tropezar con DST
+    const probe = new Date(Date.UTC(p.year, p.month - 1, p.day + i, 12));
+    const { weekday } = localParts(probe, 'UTC');
+    if (!w.days.includes(weekday)) continue;
+    if (i === 0 && p.minutes >= w.start) continue; // hoy ya pasó el inicio
+
+    return fromLocal(p.year, p.month, p.day + i, w.start, timeZone);
+  }
+  return d;
+}
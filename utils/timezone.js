@@ -0,0 +1,103 @@
+// utils/timezone.js
+import { parsePhone } from './phone.js';
+
+/**
+ * Zona horaria aproximada de un lead a partir de su teléfono.
+ * US: por código de área (Indiana/Kentucky/Tennessee/Florida partidos se
+ * asignan a su zona mayoritaria). Resto: zona principal del país.
+ */
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Chicago';
+
+const US_AREA_CODES = {
+  'America/Los_Angeles': [
+    209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+    657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951,
+    206, 253, 360, 425, 509, 564, 458, 503, 541, 971, 702, 725, 775
+  ],
+  'America/Denver': [
+    303, 719, 720, 970, 983, 385, 435, 801, 505, 575, 406, 307, 208, 986, 915
+  ],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Chicago': [
+    210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832,
+    903, 936, 940, 945, 956, 972, 979,
+    217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 773, 779, 815, 847, 872,
+    218, 320, 507, 612, 651, 763, 952, 262, 274, 414, 534, 608, 715, 920,
+    314, 417, 557, 573, 636, 660, 816, 975, 319, 515, 563, 641, 712, 316, 620, 785, 913,
+    308, 402, 531, 405, 539, 572, 580, 918, 479, 501, 870, 225, 318, 337, 504, 985,
+    228, 601, 662, 769, 205, 251, 256, 334, 659, 938, 615, 629, 731, 901, 931, 701, 605, 219, 270, 850
+  ],
+  'America/New_York': [
+    212, 315, 332, 347, 516, 518, 585, 607, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934,
+    239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 863, 904, 941, 954,
+    229, 404, 470, 478, 678, 706, 762, 770, 912, 943, 252, 336, 704, 743, 828, 910, 919, 980, 984,
+    803, 839, 843, 854, 864, 276, 434, 540, 571, 703, 757, 804, 826, 948,
+    215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878,
+    201, 551, 609, 640, 732, 848, 856, 862, 908, 973, 339, 351, 413, 508, 617, 774, 781, 857, 978,
+    203, 475, 860, 959, 216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937,
+    231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989, 260, 317, 463, 574, 765, 812, 930,
+    364, 502, 606, 859, 227, 240, 301, 410, 443, 667, 202, 771, 302, 304, 681, 207, 603, 802, 401,
+    423, 865
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+};
+
+const TZ_BY_AREA = new Map();
+for (const [tz, codes] of Object.entries(US_AREA_CODES)) {
+  codes.forEach(c => TZ_BY_AREA.set(String(c), tz));
+}
+
+const TZ_BY_COUNTRY = {
+  US: DEFAULT_TIMEZONE,
+  CA: 'America/Toronto',
+  MX: 'America/Mexico_City',
+  GT: 'America/Guatemala',
+  SV: 'America/El_Salvador',
+  HN: 'America/Tegucigalpa',
+  NI: 'America/Managua',
+  CR: 'America/Costa_Rica',
+  PA: 'America/Panama',
+  CO: 'America/Bogota',
+  VE: 'America/Caracas',
+  EC: 'America/Guayaquil',
+  PE: 'America/Lima',
+  BO: 'America/La_Paz',
+  CL: 'America/Santiago',
+  AR: 'America/Argentina/Buenos_Aires',
+  UY: 'America/Montevideo',
+  PY: 'America/Asuncion',
+  DO: 'America/Santo_Domingo',
+  PR: 'America/Puerto_Rico',
+  CU: 'America/Havana',
+  ES: 'Europe/Madrid',
+};
+
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Zona horaria deducida del teléfono (o DEFAULT_TIMEZONE) */
+export function timezoneForPhone(phone, { region } = {}) {
+  const p = parsePhone(phone, { region });
+  if (!p) return DEFAULT_TIMEZONE;
+
+  if (p.countryCallingCode === '1') {
+    const area = String(p.nationalNumber).slice(0, 3);
+    if (TZ_BY_AREA.has(area)) return TZ_BY_AREA.get(area);
+  }
+  return TZ_BY_COUNTRY[p.country] || DEFAULT_TIMEZONE;
+}
+
+/** lead.timezone explícita (si es válida) o la deducida del teléfono */
+export function leadTimezone(lead = {}) {
+  if (lead.timezone && isValidTimezone(lead.timezone)) return lead.timezone;
+  return timezoneForPhone(lead.telefono, { region: lead.region });
+}
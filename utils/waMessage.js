@@ -0,0 +1,206 @@
+// utils/waMessage.js
+import { extractMessageContent, getContentType, proto } from 'baileys';
+
+/**
+ * Normaliza un WAMessage entrante a una forma estable para Firestore/CRM.
+ *
+ * kind:
+ *   'message' → se guarda como doc en leads/{id}/messages
+ *   'reaction' | 'edit' | 'revoke' → se aplican sobre el mensaje destino (target)
+ *   'ignore' → mensajes de protocolo sin contenido para el inbox
+ *
+ * Para 'message' con media, `media` describe cómo subirlo a Storage
+ * (folder, ext, mimetype); la descarga/subida la hace whatsappService.
+ */
+
+const { Type: ProtocolType } = proto.Message.ProtocolMessage;
+
+const MEDIA = {
+  videoMessage: { mediaType: 'video', folder: 'videos', ext: '.mp4', mimetype: 'video/mp4' },
+  imageMessage: { mediaType: 'image', folder: 'images', ext: '.jpg', mimetype: 'image/jpeg' },
+  audioMessage: { mediaType: 'audio', folder: 'audios', ext: '.ogg', mimetype: 'audio/ogg' },
+  documentMessage: { mediaType: 'document', folder: 'docs', ext: '', mimetype: 'application/octet-stream' },
+  stickerMessage: { mediaType: 'sticker', folder: 'stickers', ext: '.webp', mimetype: 'image/webp' },
+};
+
+function isViewOnce(message) {
+  return !!(
+    message?.viewOnceMessage ||
+    message?.viewOnceMessageV2 ||
+    message?.viewOnceMessageV2Extension ||
+    message?.ephemeralMessage?.message?.viewOnceMessage ||
+    message?.ephemeralMessage?.message?.viewOnceMessageV2
+  );
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'object' && typeof v.toNumber === 'function') return v.toNumber();
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Texto plano de cualquier mensaje (para citas y ediciones) */
+export function messageText(content) {
+  const c = extractMessageContent(content);
+  if (!c) return '';
+  return String(
+    c.conversation ||
+    c.extendedTextMessage?.text ||
+    c.imageMessage?.caption ||
+    c.videoMessage?.caption ||
+    c.documentMessage?.caption ||
+    c.locationMessage?.name ||
+    c.contactMessage?.displayName ||
+    ''
+  ).trim();
+}
+
+function parseVcardPhones(vcard = '') {
+  const phones = [];
+  for (const line of String(vcard).split(/\r?\n/)) {
+    if (!/^(item\d+\.)?TEL/i.test(line)) continue;
+    const waid = line.match(/waid=(\d+)/i)?.[1];
+    const value = line.split(':').pop().trim();
+    phones.push({ number: value, waid: waid || null });
+  }
+  return phones;
+}
+
+function parseContact(c) {
+  return {
+    displayName: c?.displayName || '',
+    vcard: c?.vcard || '',
+    phones: parseVcardPhones(c?.vcard),
+  };
+}
+
+function replyFrom(inner) {
+  const ctx = inner?.contextInfo;
+  if (!ctx?.stanzaId) return null;
+  return {
+    waMessageId: ctx.stanzaId,
+    participant: ctx.participant || null,
+    content: messageText(ctx.quotedMessage).slice(0, 300),
+    mediaType: describeMessage({ message: ctx.quotedMessage }).mediaType,
+  };
+}
+
+/** @returns {object} forma normalizada (ver cabecera) */
+export function describeMessage(msg) {
+  const content = extractMessageContent(msg?.message);
+  const type = getContentType(content);
+  const inner = type ? content[type] : null;
+
+  const out = {
+    kind: 'message',
+    type: type || null,
+    mediaType: 'unknown',
+    content: '',
+    media: null,
+    viewOnce: isViewOnce(msg?.message),
+    replyTo: null,
+  };
+
+  if (!type) return out;
+
+  // ---- protocolo: borrados / ediciones ----
+  if (type === 'protocolMessage') {
+    if (inner.type === ProtocolType.REVOKE && inner.key?.id) {
+      return { ...out, kind: 'revoke', target: inner.key };
+    }
+    if (inner.type === ProtocolType.MESSAGE_EDIT && inner.key?.id) {
+      return { ...out, kind: 'edit', target: inner.key, content: messageText(inner.editedMessage) };
+    }
+    return { ...out, kind: 'ignore' };
+  }
+
+  if (type === 'reactionMessage') {
+    return {
+      ...out,
+      kind: 'reaction',
+      target: inner.key,
+      emoji: inner.text || '', // '' = reacción eliminada
+    };
+  }
+
+  // Los votos llegan cifrados; sin el secreto de la encuesta no hay nada útil que guardar
+  if (type === 'pollUpdateMessage' || type === 'senderKeyDistributionMessage') {
+    return { ...out, kind: 'ignore' };
+  }
+
+  out.replyTo = replyFrom(inner);
+
+  if (MEDIA[type]) {
+    const def = MEDIA[type];
+    out.mediaType = def.mediaType;
+    out.content = String(inner.caption || '').trim();
+    out.media = {
+      folder: def.folder,
+      ext: def.ext,
+      mimetype: inner.mimetype || def.mimetype,
+      fileName: inner.fileName || null,
+    };
+    if (type === 'audioMessage') out.ptt = !!inner.ptt;
+    if (type === 'stickerMessage') out.sticker = { animated: !!inner.isAnimated };
+    if (type === 'videoMessage' && inner.gifPlayback) out.gif = true;
+    return out;
+  }
+
+  switch (type) {
+    case 'conversation':
+      return { ...out, mediaType: 'text', content: String(content.conversation).trim() };
+
+    case 'extendedTextMessage':
+      return { ...out, mediaType: 'text', content: String(inner.text || '').trim() };
+
+    case 'locationMessage':
+    case 'liveLocationMessage':
+      return {
+        ...out,
+        mediaType: 'location',
+        content: [inner.name, inner.address].filter(Boolean).join(' — '),
+        location: {
+          lat: inner.degreesLatitude ?? null,
+          lng: inner.degreesLongitude ?? null,
+          name: inner.name || null,
+          address: inner.address || null,
+          url: inner.url || null,
+          live: type === 'liveLocationMessage',
+        },
+      };
+
+    case 'contactMessage':
+      return {
+        ...out,
+        mediaType: 'contact',
+        content: inner.displayName || '',
+        contacts: [parseContact(inner)],
+      };
+
+    case 'contactsArrayMessage':
+      return {
+        ...out,
+        mediaType: 'contact',
+        content: inner.displayName || '',
+        contacts: (inner.contacts || []).map(parseContact),
+      };
+
+    case 'pollCreationMessage':
+    case 'pollCreationMessageV2':
+    case 'pollCreationMessageV3':
+      return {
+        ...out,
+        mediaType: 'poll',
+        content: inner.name || '',
+        poll: {
+          name: inner.name || '',
+          options: (inner.options || []).map(o => o.optionName),
+          selectableCount: toNumber(inner.selectableOptionsCount) ?? 0,
+        },
+      };
+
+    default:
+      return out;
+  }
+}
@@ -2,9 +2,11 @@
 import {
   makeWASocket,
   useMultiFileAuthState,
+  makeCacheableSignalKeyStore,
   DisconnectReason,
   fetchLatestBaileysVersion,
   downloadMediaMessage,
+  BufferJSON,
 } from 'baileys';
 import QRCode from 'qrcode-terminal';
 import Pino from 'pino';
@@ -13,18 +15,45 @@ import path from 'path';
 import axios from 'axios';
 import admin from 'firebase-admin';
 import { db } from './firebaseAdmin.js';
+import { normalizePhone, toWhatsAppJid, phoneVariants } from './utils/phone.js';
+import { describeMessage } from './utils/waMessage.js';
+import {
+  createFirestoreAuthStore,
+  useFirestoreAuthState,
+  migrateMultiFileAuthState,
+} from './firebaseAuthStorage.js';
 
 // Cola de secuencias (versión nueva en queue.js)
-import { scheduleSequenceForLead, cancelSequences } from './queue.js';
+import { scheduleSequenceForLead, handleLeadReply } from './queue.js';
+import { evaluateTriggerRules, applyRuleToLead } from './triggerRules.js';
+import { handleOptKeywords, isOptedOut, optOutError } from './optOut.js';
+import { scheduleSend } from './outboundLimiter.js';
+import { publishEvent, EVENT_TYPES } from './events.js';
+import { transcribeAudio } from './services/speechToText.js';
+import { processInboundImage, extractVideoPoster, prepareOutboundMedia } from './utils/mediaProcessing.js';
+import { storeMedia } from './mediaService.js';
+import { refreshLeadProfile } from './leadProfile.js';
+import { resolveLeadId } from './leadMerge.js';
+
+const DEFAULT_SESSION = 'default';
+const SESSION_ID_RE = /^[a-zA-Z0-9_-]{1,40}$/;
 
-let latestQR = null;
-let connectionStatus = 'Desconectado';
-let whatsappSock = null;
-let sessionPhone = null;
+/**
+ * Sesiones activas en este proceso (una por número de WhatsApp):
+ * id → { id, sock, latestQR, connectionStatus, sessionPhone, stopped,
+ *        connectedAt, lastDisconnect, retryAttempt, retryAt, retryTimer }
+ */
+const sessions = new Map();
 
 const localAuthFolder = '/var/data';
+// 'firestore' (default) sobrevive a redeploys; 'file' usa solo la carpeta local
+const authStoreMode = process.env.WA_AUTH_STORE || 'firestore';
 const { FieldValue } = admin.firestore;
-const bucket = admin.storage().bucket();
+const sessionsColl = db.collection('whatsappSessions');
+
+// Reconexión: backoff exponencial con tope + jitter
+const RECONNECT_BASE_MS = Number(process.env.WA_RECONNECT_BASE_MS || 2000);
+const RECONNECT_MAX_MS = Number(process.env.WA_RECONNECT_MAX_MS || 5 * 60_000);
 
 /* ------------------------------ helpers ------------------------------ */
 function firstName(n = '') {
@@ -41,54 +70,462 @@ function now() {
   return new Date();
 }
 
+function newSession(id) {
+  return {
+    id,
+    sock: null,
+    latestQR: null,
+    connectionStatus: 'Desconectado',
+    sessionPhone: null,
+    defaultRegion: null, // región para números sin código de país (whatsappSessions/{id}.defaultRegion)
+    stopped: false,
+    connectedAt: null,
+    lastDisconnect: null, // { code, reason, message, at }
+    retryAttempt: 0,
+    retryAt: null,
+    retryTimer: null,
+    pairing: null, // { phone, code, at } mientras se vincula por código
+  };
+}
+
+function getSession(sessionId = DEFAULT_SESSION) {
+  const id = sessionId || DEFAULT_SESSION;
+  if (!sessions.has(id)) sessions.set(id, newSession(id));
+  return sessions.get(id);
+}
+
+// Solo lectura: no registra la sesión (rutas ?sessionId= de consulta)
+function peekSession(sessionId = DEFAULT_SESSION) {
+  const id = sessionId || DEFAULT_SESSION;
+  return sessions.get(id) || newSession(id);
+}
+
+// La sesión "default" conserva la carpeta histórica (/var/data)
+function authFolderFor(sessionId) {
+  return sessionId === DEFAULT_SESSION
+    ? localAuthFolder
+    : path.join(localAuthFolder, 'sessions', sessionId);
+}
+
+function clearLocalAuthFolder(folder) {
+  if (!fs.existsSync(folder)) return;
+  for (const f of fs.readdirSync(folder)) {
+    if (folder === localAuthFolder && f === 'sessions') continue; // no tocar otras sesiones
+    fs.rmSync(path.join(folder, f), { force: true, recursive: true });
+  }
+}
+
+async function saveSessionMeta(sessionId, data) {
+  await sessionsColl.doc(sessionId).set(
+    { ...data, updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/**
+ * Carga el auth state según WA_AUTH_STORE.
+ * En modo firestore migra una vez la carpeta local si el store está vacío.
+ */
+async function loadAuthState(sessionId) {
+  const folder = authFolderFor(sessionId);
+  if (authStoreMode === 'file') {
+    const { state, saveCreds } = await useMultiFileAuthState(folder);
+    return { state, saveCreds, clearState: async () => clearLocalAuthFolder(folder) };
+  }
+
+  const store = createFirestoreAuthStore(sessionId);
+  await migrateMultiFileAuthState(folder, store);
+  const auth = await useFirestoreAuthState(store);
+  return {
+    ...auth,
+    clearState: async () => {
+      await auth.clearState();
+      clearLocalAuthFolder(folder);
+    },
+  };
+}
+
+/* ------------------------- supervisión de conexión ------------------------- */
+
+function disconnectReasonName(code) {
+  return Object.entries(DisconnectReason).find(([, v]) => v === code)?.[0] || 'unknown';
+}
+
+/** Historial persistido: whatsappSessions/{id}/connectionEvents */
+function logConnectionEvent(sessionId, event) {
+  sessionsColl.doc(sessionId).collection('connectionEvents').add({
+    ...event,
+    at: FieldValue.serverTimestamp(),
+  }).catch(err => console.error(`[WA:${sessionId}] connectionEvents error:`, err));
+}
+
+/**
+ * Alerta operativa: doc en `alerts` (lo escucha el CRM) y, si existe,
+ * POST a WA_ALERT_WEBHOOK_URL.
+ */
+async function raiseAlert(type, data) {
+  const alert = { type, ...data, createdAt: new Date() };
+  console.error(`🚨 [alert] ${type}`, data);
+  await db.collection('alerts').add({ ...alert, createdAt: FieldValue.serverTimestamp(), acknowledged: false })
+    .catch(err => console.error('No se pudo guardar alerta:', err));
+  if (process.env.WA_ALERT_WEBHOOK_URL) {
+    await axios.post(process.env.WA_ALERT_WEBHOOK_URL, alert, { timeout: 10_000 })
+      .catch(err => console.error('Webhook de alerta falló:', err?.message));
+  }
+}
+
+/**
+ * Suelta el socket actual sin que dispare nuestros handlers: primero se
+ * quitan los listeners y luego se cierra. Garantiza un solo socket por sesión.
+ */
+function teardownSocket(session) {
+  const old = session.sock;
+  session.sock = null;
+  if (!old) return;
+  try {
+    old.ev.removeAllListeners();
+    old.end(undefined);
+  } catch (err) {
+    console.warn(`[WA:${session.id}] cierre de socket anterior:`, err?.message);
+  }
+}
+
+function clearRetry(session) {
+  if (session.retryTimer) clearTimeout(session.retryTimer);
+  session.retryTimer = null;
+  session.retryAt = null;
+}
+
+/**
+ * Programa la siguiente conexión. restartRequired (tras escanear el QR)
+ * reconecta de inmediato; el resto espera base·2^n (tope RECONNECT_MAX_MS)
+ * con jitter entre 50 % y 100 %.
+ */
+function scheduleReconnect(session, code = null) {
+  if (session.stopped) return;
+  clearRetry(session);
+
+  let delay = 0;
+  if (code !== DisconnectReason.restartRequired) {
+    const cap = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** session.retryAttempt);
+    delay = Math.round(cap / 2 + Math.random() * cap / 2);
+    session.retryAttempt += 1;
+  }
+
+  session.retryAt = Date.now() + delay;
+  console.log(`[WA:${session.id}] reconexión #${session.retryAttempt} en ${Math.round(delay / 1000)} s`);
+  session.retryTimer = setTimeout(() => {
+    session.retryTimer = null;
+    session.retryAt = null;
+    connectToWhatsApp(session.id).catch(err => {
+      console.error(`[WA:${session.id}] reconexión fallida:`, err?.message || err);
+      scheduleReconnect(session);
+    });
+  }, delay);
+}
+
+/**
+ * Doc determinista para un mensaje entrante: leads/{id}/messages/{msg.key.id}.
+ * Así una reentrega de Baileys cae sobre el mismo doc y no se duplica.
+ */
+function inboundMessageRef(leadRef, msg) {
+  const id = String(msg?.key?.id || '').replace(/\//g, '_');
+  return id ? leadRef.collection('messages').doc(id) : null;
+}
+
+/**
+ * Extrae contenido/multimedia de un mensaje entrante (sube media a Storage).
+ * Devuelve los campos normalizados que se guardan en el doc del mensaje.
+ */
+async function parseIncomingMessage(msg, phone, parsed = describeMessage(msg), { leadId = null } = {}) {
+  const { content, mediaType, media } = parsed;
+  let mediaUrl = null;
+  let buffer = null;
+  const extra = {};
+
+  if (media) {
+    buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: Pino() });
+    const base = `${phone}-${Date.now()}`;
+    const up = { leadId, kind: mediaType };
+    let ext = media.folder === 'docs' ? path.extname(media.fileName || '') || '' : media.ext;
+    let upload = buffer;
+
+    // imágenes/stickers: MIME real, sin EXIF, variante web + miniatura
+    if (mediaType === 'image' || mediaType === 'sticker') {
+      try {
+        const img = await processInboundImage(buffer, { sticker: mediaType === 'sticker' });
+        media.mimetype = img.mimetype;
+        ext = img.ext;
+        upload = img.original;
+        extra.width = img.width;
+        extra.height = img.height;
+        if (img.web) extra.mediaWebUrl = await uploadMedia(`${media.folder}/web/${base}.webp`, img.web, 'image/webp', up);
+        extra.thumbnailUrl = await uploadMedia(`${media.folder}/thumbs/${base}.webp`, img.thumb, 'image/webp', up);
+      } catch (err) {
+        console.warn('[WA] no se pudo procesar imagen, se guarda original:', err?.message);
+      }
+    }
+
+    // videos: fotograma de portada
+    if (mediaType === 'video') {
+      try {
+        const v = await extractVideoPoster(buffer);
+        extra.posterUrl = await uploadMedia(`${media.folder}/posters/${base}.jpg`, v.poster, 'image/jpeg', up);
+        extra.thumbnailUrl = await uploadMedia(`${media.folder}/thumbs/${base}.webp`, v.thumb, 'image/webp', up);
+        extra.width = v.width;
+        extra.height = v.height;
+      } catch (err) {
+        console.warn('[WA] no se pudo extraer poster de video:', err?.message);
+      }
+    }
+
+    mediaUrl = await uploadMedia(`${media.folder}/${base}${ext}`, upload, media.mimetype, up);
+  }
+
+  if (parsed.replyTo) extra.replyTo = parsed.replyTo;
+  if (parsed.viewOnce) extra.viewOnce = true;
+  if (parsed.location) extra.location = parsed.location;
+  if (parsed.contacts) extra.contacts = parsed.contacts;
+  if (parsed.poll) extra.poll = parsed.poll;
+  if (parsed.sticker) extra.sticker = parsed.sticker;
+  if (parsed.ptt) extra.ptt = true;
+  if (media) {
+    extra.mimetype = media.mimetype;
+    if (media.fileName) extra.fileName = media.fileName;
+  }
+
+  // buffer no se persiste; se usa para la transcripción de notas de voz
+  return { content, mediaType, mediaUrl, extra, buffer };
+}
+
+// tope del proto serializado por mensaje (stickers/imágenes traen miniaturas)
+const RAW_MESSAGE_MAX = 100_000;
+
+/**
+ * Contenido original (proto) del mensaje como JSON, para poder citarlo
+ * después (opts.quoted). Los bytes viajan en base64 vía BufferJSON.
+ * null si no hay mensaje o pasa de RAW_MESSAGE_MAX.
+ */
+function serializeRawMessage(message) {
+  if (!message) return null;
+  try {
+    const json = JSON.stringify(message, BufferJSON.replacer);
+    return json.length <= RAW_MESSAGE_MAX ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Sube un buffer vía mediaService y devuelve su ruta /api/media/{id} (sin firmar) */
+async function uploadMedia(dest, buffer, contentType, { leadId = null, kind = null } = {}) {
+  const { url } = await storeMedia(buffer, { path: dest, contentType, leadId, kind });
+  return url;
+}
+
+/**
+ * Transcribe un audio entrante y guarda el resultado en su doc de mensaje
+ * (transcript, transcriptStatus, transcriptProvider…). Devuelve el texto o ''.
+ * Un fallo del proveedor no interrumpe el procesamiento del mensaje.
+ */
+async function transcribeInboundAudio(msgRef, buffer, { mimetype, leadId } = {}) {
+  if (!msgRef || !buffer?.length) return '';
+  try {
+    const result = await transcribeAudio(buffer, { mimetype });
+    if (!result) return ''; // transcripción desactivada
+
+    const upd = {
+      transcript: result.text,
+      transcriptStatus: result.text ? 'done' : 'empty',
+      transcriptProvider: result.provider,
+      transcriptLanguage: result.language,
+      transcribedAt: now(),
+    };
+    if (result.duration !== null) upd.durationSeconds = result.duration;
+    await msgRef.update(upd);
+    publishEvent(EVENT_TYPES.MESSAGE_TRANSCRIPT, { id: msgRef.id, ...upd }, { leadId });
+    return result.text;
+  } catch (err) {
+    console.error('[stt] transcripción fallida:', err?.message || err);
+    await msgRef.update({ transcriptStatus: 'failed', transcriptError: String(err?.message || err) })
+      .catch(() => {});
+    return '';
+  }
+}
+
+/**
+ * Texto de un mensaje (o transcript de una nota de voz): STOP / START y
+ * después hashtags / keywords → triggers (triggerRules).
+ */
+async function applyTextRules(leadId, text, { sender, trigger }) {
+  // ------- STOP / START (opt-out) -------
+  if (sender === 'lead') {
+    const optAction = await handleOptKeywords(leadId, text);
+    if (optAction) return; // no evaluar reglas de trigger sobre una baja/alta
+  }
+
+  // sin regla que coincida se conserva el comportamiento previo: trigger por defecto
+  const rule = (await evaluateTriggerRules(text)) || { id: null, trigger };
+  const r = await applyRuleToLead(leadId, rule);
+  if (rule.id) console.log('[WA] regla de trigger aplicada:', { leadId, rule: rule.id, ...r });
+}
+
+/**
+ * Reacciones, ediciones y borrados no crean mensaje: modifican el
+ * mensaje al que apuntan (leads/{id}/messages/{target.id}).
+ */
+async function applyMessageEvent(leadRef, parsed, sender) {
+  const targetId = String(parsed.target?.id || '').replace(/\//g, '_');
+  if (!targetId) return;
+
+  const ref = leadRef.collection('messages').doc(targetId);
+  const snap = await ref.get();
+  if (!snap.exists) {
+    console.log(`[WA] ${parsed.kind} sobre mensaje desconocido, skip:`, leadRef.id, targetId);
+    return;
+  }
+
+  if (parsed.kind === 'reaction') {
+    await ref.update({
+      [`reactions.${sender}`]: parsed.emoji
+        ? { emoji: parsed.emoji, at: now() }
+        : FieldValue.delete(),
+    });
+  } else if (parsed.kind === 'edit') {
+    await ref.update({
+      content: parsed.content,
+      edited: true,
+      editedAt: now(),
+      editHistory: FieldValue.arrayUnion({ content: snap.data().content || '', replacedAt: now() }),
+    });
+  } else if (parsed.kind === 'revoke') {
+    await ref.update({ deleted: true, deletedAt: now(), deletedBy: sender });
+  }
+}
+
 /* ---------------------------- conexión WA ---------------------------- */
-export async function connectToWhatsApp() {
+export async function connectToWhatsApp(sessionId = DEFAULT_SESSION) {
+  const session = getSession(sessionId);
+  session.stopped = false;
+  clearRetry(session);
+  teardownSocket(session);
+
   try {
-    if (!fs.existsSync(localAuthFolder)) {
-      fs.mkdirSync(localAuthFolder, { recursive: true });
+    const authFolder = authFolderFor(session.id);
+    if (!fs.existsSync(authFolder)) {
+      fs.mkdirSync(authFolder, { recursive: true });
     }
 
-    const { state, saveCreds } = await useMultiFileAuthState(localAuthFolder);
-    if (state.creds.me?.id) sessionPhone = state.creds.me.id.split('@')[0];
+    const metaSnap = await sessionsColl.doc(session.id).get();
+    session.defaultRegion = metaSnap.data()?.defaultRegion || null;
 
+    const { state, saveCreds, clearState } = await loadAuthState(session.id);
+    session.clearState = clearState;
+    if (state.creds.me?.id) session.sessionPhone = state.creds.me.id.split('@')[0];
+
+    const logger = Pino({ level: 'info' });
     const { version } = await fetchLatestBaileysVersion();
     const sock = makeWASocket({
-      auth: state,
-      logger: Pino({ level: 'info' }),
+      auth: { creds: state.creds, keys: makeCacheableSignalKeyStore(state.keys, logger) },
+      logger,
       printQRInTerminal: true,
       version,
     });
-    whatsappSock = sock;
+    session.sock = sock;
 
     // ── eventos de conexión
-    sock.ev.on('connection.update', ({ connection, lastDisconnect, qr }) => {
+    sock.ev.on('connection.update', async ({ connection, lastDisconnect, qr }) => {
+      // eventos tardíos de un socket ya reemplazado
+      if (session.sock !== sock) return;
+
       if (qr) {
-        latestQR = qr;
-        connectionStatus = 'QR disponible. Escanéalo.';
+        session.latestQR = qr;
+        // con un código de vinculación pendiente no se pisa su estado
+        if (!session.pairing) session.connectionStatus = 'QR disponible. Escanéalo.';
         QRCode.generate(qr, { small: true });
+        publishEvent(EVENT_TYPES.CONNECTION_QR, { sessionId: session.id, qr });
       }
       if (connection === 'open') {
-        connectionStatus = 'Conectado';
-        latestQR = null;
-        if (sock.user?.id) sessionPhone = sock.user.id.split('@')[0];
+        session.connectionStatus = 'Conectado';
+        session.latestQR = null;
+        session.pairing = null;
+        session.connectedAt = new Date();
+        session.retryAttempt = 0;
+        if (sock.user?.id) session.sessionPhone = sock.user.id.split('@')[0];
+        logConnectionEvent(session.id, { type: 'open', phone: session.sessionPhone });
+        publishEvent(EVENT_TYPES.CONNECTION_STATE, describeSession(session.id));
+        saveSessionMeta(session.id, { phone: session.sessionPhone, status: 'connected' })
+          .catch(err => console.error(`[WA:${session.id}] meta error:`, err));
       }
       if (connection === 'close') {
         const reason = lastDisconnect?.error?.output?.statusCode;
-        connectionStatus = 'Desconectado';
+        session.connectionStatus = 'Desconectado';
+        session.lastDisconnect = {
+          code: reason ?? null,
+          reason: disconnectReasonName(reason),
+          message: lastDisconnect?.error?.message || null,
+          at: new Date(),
+          uptimeMs: session.connectedAt ? Date.now() - session.connectedAt.getTime() : null,
+        };
+        session.connectedAt = null;
+        teardownSocket(session);
+        logConnectionEvent(session.id, { type: 'close', ...session.lastDisconnect });
+
         if (reason === DisconnectReason.loggedOut) {
-          // limpiar sesión local y forzar re-login
-          for (const f of fs.readdirSync(localAuthFolder)) {
-            fs.rmSync(path.join(localAuthFolder, f), { force: true, recursive: true });
+          // limpiar sesión (local + store remoto) y forzar re-login
+          try {
+            await clearState();
+          } catch (err) {
+            console.error('Error limpiando auth state:', err);
+          }
+          const phone = session.sessionPhone;
+          session.sessionPhone = null;
+          if (!session.stopped) {
+            raiseAlert('whatsapp_logged_out', { sessionId: session.id, phone, message: session.lastDisconnect.message });
           }
-          sessionPhone = null;
         }
-        // reintento automático
-        connectToWhatsApp();
+        saveSessionMeta(session.id, {
+          status: reason === DisconnectReason.loggedOut ? 'logged_out' : 'disconnected',
+          lastDisconnect: session.lastDisconnect,
+        }).catch(err => console.error(`[WA:${session.id}] meta error:`, err));
+
+        // reintento supervisado (salvo logout/stop explícito desde la API);
+        // tras loggedOut se vuelve a conectar para mostrar un QR nuevo
+        scheduleReconnect(session, reason);
+        publishEvent(EVENT_TYPES.CONNECTION_STATE, describeSession(session.id));
       }
     });
 
     sock.ev.on('creds.update', saveCreds);
 
+    /* ------------------ recibos de entrega / lectura ------------------ */
+    sock.ev.on('messages.update', async (updates) => {
+      for (const { key, update } of updates) {
+        try {
+          const status = statusFromAck(update?.status);
+          if (status) await applyMessageStatus(key, status);
+        } catch (err) {
+          console.error('messages.update error:', err);
+        }
+      }
+    });
+
+    sock.ev.on('message-receipt.update', async (receipts) => {
+      for (const { key, receipt } of receipts) {
+        try {
+          if (receipt?.playedTimestamp) {
+            const at = new Date(Number(receipt.playedTimestamp) * 1000);
+            await applyMessageStatus(key, 'read', at, { playedAt: at });
+          } else if (receipt?.readTimestamp) {
+            await applyMessageStatus(key, 'read', new Date(Number(receipt.readTimestamp) * 1000));
+          } else if (receipt?.receiptTimestamp) {
+            await applyMessageStatus(key, 'delivered', new Date(Number(receipt.receiptTimestamp) * 1000));
+          }
+        } catch (err) {
+          console.error('message-receipt.update error:', err);
+        }
+      }
+    });
+
     /* -------------------- recepción de mensajes -------------------- */
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type !== 'notify') return;
@@ -117,136 +554,155 @@ export async function connectToWhatsApp() {
             continue;
           }
 
-          const phone = cleanUser;             // E164 sin '+'
-          const leadId = jid;
+          const phone = normalizePhone(cleanUser); // E164 sin '+' (MX sin el "1" legado)
+          const leadId = await resolveLeadId(jid); // jid, o el lead en que se fusionó
           const sender = msg.key.fromMe ? 'business' : 'lead';
 
-          // ------- crear/actualizar LEAD -------
           const leadRef = db.collection('leads').doc(leadId);
-          const leadSnap = await leadRef.get();
+          const msgRef = inboundMessageRef(leadRef, msg);
+
+          // Reentrega (reconexión / retry de Baileys): ya guardado → nada que hacer
+          if (msgRef && (await msgRef.get()).exists) {
+            console.log('[WA] mensaje duplicado, skip:', leadId, msg.key.id);
+            continue;
+          }
 
           // config global
           const cfgSnap = await db.collection('config').doc('appConfig').get();
           const cfg = cfgSnap.exists ? cfgSnap.data() : {};
-          let trigger = cfg.defaultTrigger || 'NuevoLead';
+          const trigger = cfg.defaultTrigger || 'NuevoLead';
 
+          // ------- parseo de tipos -------
+          const parsed = describeMessage(msg);
+          if (parsed.kind === 'ignore') continue;
+          if (parsed.kind !== 'message') {
+            await applyMessageEvent(leadRef, parsed, sender);
+            continue;
+          }
+
+          const { content, mediaType, mediaUrl, extra, buffer } = await parseIncomingMessage(msg, phone, parsed, { leadId });
+
+          console.log('[WA] Guardando mensaje →', leadId, { mediaType, hasText: !!content, hasMedia: !!mediaUrl });
+
+          const msgData = {
+            ...extra,
+            content,
+            mediaType,
+            mediaUrl,
+            sender,
+            sessionId: session.id,
+            waMessageId: msg.key.id || null,
+            timestamp: now(),
+          };
+
+          // ------- crear/actualizar LEAD + guardar mensaje (atómico) -------
           const baseLead = {
             telefono: phone,
             nombre: msg.pushName || '',
             source: 'WhatsApp',
+            sessionId: session.id,
           };
 
-          if (!leadSnap.exists) {
-            await leadRef.set({
-              ...baseLead,
-              fecha_creacion: now(),
-              estado: 'nuevo',
-              etiquetas: [trigger],
-              unreadCount: 0,
-              lastMessageAt: now(),
-            });
+          // última clave entrante: permite marcar el chat como leído antes de responder (humanize)
+          // lastInboundAt: condiciones 'replied'/'notReplied' de las secuencias
+          const inboundKey = sender === 'lead' && msg.key.id
+            ? { lastInboundKey: { remoteJid: msg.key.remoteJid, id: msg.key.id }, lastInboundAt: msgData.timestamp }
+            : {};
 
-            // programa secuencia inicial
-            await scheduleSequenceForLead(leadId, trigger);
+          // pushName del lead: se guarda el actual y el historial de cambios
+          const pushName = sender === 'lead' ? String(msg.pushName || '').trim() : '';
 
-            console.log('[WA] Lead CREADO:', { leadId, phone, trigger, fromMe: sender === 'business' });
-          } else {
-            await leadRef.update({ lastMessageAt: now() });
-            console.log('[WA] Lead ACTUALIZADO:', { leadId, phone, fromMe: sender === 'business' });
-          }
-
-          // ------- parseo de tipos -------
-          let content = '';
-          let mediaType = null;
-          let mediaUrl = null;
-
-          if (msg.message?.videoMessage) {
-            mediaType = 'video';
-            const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: Pino() });
-            const fileRef = bucket.file(`videos/${phone}-${Date.now()}.mp4`);
-            await fileRef.save(buffer, { contentType: 'video/mp4' });
-            const [url] = await fileRef.getSignedUrl({ action: 'read', expires: '03-01-2500' });
-            mediaUrl = url;
-          } else if (msg.message?.imageMessage) {
-            mediaType = 'image';
-            const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: Pino() });
-            const fileRef = bucket.file(`images/${phone}-${Date.now()}.jpg`);
-            await fileRef.save(buffer, { contentType: 'image/jpeg' });
-            const [url] = await fileRef.getSignedUrl({ action: 'read', expires: '03-01-2500' });
-            mediaUrl = url;
-          } else if (msg.message?.audioMessage) {
-            mediaType = 'audio';
-            const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: Pino() });
-            const fileRef = bucket.file(`audios/${phone}-${Date.now()}.ogg`);
-            await fileRef.save(buffer, { contentType: 'audio/ogg' });
-            const [url] = await fileRef.getSignedUrl({ action: 'read', expires: '03-01-2500' });
-            mediaUrl = url;
-          } else if (msg.message?.documentMessage) {
-            mediaType = 'document';
-            const { mimetype, fileName: origName } = msg.message.documentMessage;
-            const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: Pino() });
-            const ext = path.extname(origName || '') || '';
-            const fileRef = bucket.file(`docs/${phone}-${Date.now()}${ext}`);
-            await fileRef.save(buffer, { contentType: mimetype || 'application/octet-stream' });
-            const [url] = await fileRef.getSignedUrl({ action: 'read', expires: '03-01-2500' });
-            mediaUrl = url;
-          } else if (msg.message?.conversation) {
-            mediaType = 'text';
-            content = msg.message.conversation.trim();
-          } else if (msg.message?.extendedTextMessage?.text) {
-            mediaType = 'text';
-            content = msg.message.extendedTextMessage.text.trim();
-          } else {
-            mediaType = 'unknown';
-            content = '';
-          }
+          const { inserted, created, needsProfile } = await db.runTransaction(async (tx) => {
+            if (msgRef && (await tx.get(msgRef)).exists) return { inserted: false, created: false };
+            const leadSnap = await tx.get(leadRef);
 
-          // ------- hashtags → triggers -------
-          if (mediaType === 'text' && content) {
-            if (/#webPro1490/i.test(content)) {
-              trigger = 'LeadWeb1490';
-            } else if (/#musicale(a)?d/i.test(content) || /#MusicaLead/.test(content)) {
-              trigger = 'MusicaLead';
-            } else if (/#nuevolead/i.test(content)) {
-              trigger = 'NuevoLead';
+            if (!leadSnap.exists) {
+              tx.set(leadRef, {
+                ...baseLead,
+                fecha_creacion: msgData.timestamp,
+                estado: 'nuevo',
+                etiquetas: [trigger],
+                unreadCount: sender === 'lead' ? 1 : 0,
+                lastMessageAt: msgData.timestamp,
+                ...inboundKey,
+                ...(pushName ? { pushName, pushNameHistory: [{ name: pushName, at: msgData.timestamp }] } : {}),
+                profileRefreshedAt: null, // lo completa refreshLeadProfile
+              });
+            } else {
+              const upd = { lastMessageAt: msgData.timestamp, ...inboundKey };
+              if (pushName && pushName !== leadSnap.data().pushName) {
+                upd.pushName = pushName;
+                upd.pushNameHistory = FieldValue.arrayUnion({ name: pushName, at: msgData.timestamp });
+              }
+              if (sender === 'lead') upd.unreadCount = FieldValue.increment(1);
+              // leads antiguos sin sesión: se fijan a la sesión por la que escriben
+              if (!leadSnap.data().sessionId) upd.sessionId = session.id;
+              // leads creados por el front sin el campo: entran al refresco periódico
+              if (leadSnap.data().profileRefreshedAt === undefined) upd.profileRefreshedAt = null;
+              tx.update(leadRef, upd);
             }
 
-            const cur = (await leadRef.get()).data() || {};
-            const hadTag = Array.isArray(cur.etiquetas) && cur.etiquetas.includes(trigger);
+            tx.set(msgRef || leadRef.collection('messages').doc(), {
+              ...msgData,
+              rawMessage: serializeRawMessage(msg.message),
+            });
+            return {
+              inserted: true,
+              created: !leadSnap.exists,
+              needsProfile: !leadSnap.exists || leadSnap.data().profileRefreshedAt === undefined,
+            };
+          });
 
-            await leadRef.set(
-              { etiquetas: FieldValue.arrayUnion(trigger) },
-              { merge: true }
-            );
+          if (!inserted) {
+            console.log('[WA] mensaje duplicado (tx), skip:', leadId, msg.key.id);
+            continue;
+          }
 
-            if (!hadTag) {
-              await scheduleSequenceForLead(leadId, trigger);
-            }
+          // enviados desde el teléfono (fromMe) también llegan aquí
+          publishEvent(
+            sender === 'lead' ? EVENT_TYPES.MESSAGE_INBOUND : EVENT_TYPES.MESSAGE_OUTBOUND,
+            { id: msgRef?.id || null, ...msgData, leadCreated: created },
+            { leadId }
+          );
 
-            if (trigger === 'MusicaLead' && !cur.nuevoLeadCancelled) {
-              const cancelled = await cancelSequences(leadId, ['NuevoLead']);
-              if (cancelled) {
-                await leadRef.set({ nuevoLeadCancelled: true }, { merge: true });
-              }
-            }
+          // perfil (foto, info, empresa) en segundo plano: leads nuevos o nunca enriquecidos
+          if (needsProfile && sender === 'lead') {
+            refreshLeadProfile(leadId).catch(err =>
+              console.warn('[WA] perfil no actualizado:', leadId, err?.message)
+            );
           }
 
-          console.log('[WA] Guardando mensaje →', leadId, { mediaType, hasText: !!content, hasMedia: !!mediaUrl });
+          // ------- disparadores: solo en la primera inserción -------
+          if (created) {
+            // programa secuencia inicial
+            await scheduleSequenceForLead(leadId, trigger);
+            console.log('[WA] Lead CREADO:', { leadId, phone, trigger, sessionId: session.id, fromMe: sender === 'business' });
+          } else {
+            console.log('[WA] Lead ACTUALIZADO:', { leadId, phone, fromMe: sender === 'business' });
+            // respuesta del lead: stopOnReply / pauseOnReply de sus secuencias
+            // (antes de las reglas de trigger, que pueden programar otras nuevas)
+            if (sender === 'lead') {
+              const stops = await handleLeadReply(leadId, msgData.timestamp).catch(err => {
+                console.error('[WA] handleLeadReply error:', leadId, err);
+                return [];
+              });
+              if (stops.length) console.log('[WA] secuencias detenidas por respuesta:', { leadId, stops });
+            }
+          }
 
-          // ------- guardar mensaje -------
-          const msgData = {
-            content,
-            mediaType,
-            mediaUrl,
-            sender,
-            timestamp: now(),
-          };
-          await leadRef.collection('messages').add(msgData);
+          // ------- notas de voz del lead → transcript (segundo plano) -------
+          // el mensaje ya está guardado; opt-out y reglas se aplican al transcript
+          // cuando llega, sin frenar el resto del lote
+          if (sender === 'lead' && mediaType === 'audio') {
+            transcribeInboundAudio(msgRef, buffer, { mimetype: extra.mimetype, leadId })
+              .then(transcript => transcript && applyTextRules(leadId, transcript, { sender, trigger }))
+              .catch(err => console.error('[WA] reglas sobre transcript fallidas:', leadId, err));
+            continue;
+          }
 
-          // actualizar counters
-          const upd = { lastMessageAt: msgData.timestamp };
-          if (sender === 'lead') upd.unreadCount = FieldValue.increment(1);
-          await leadRef.update(upd);
+          if (mediaType === 'text' && content) {
+            await applyTextRules(leadId, content, { sender, trigger });
+          }
         } catch (err) {
           console.error('messages.upsert error:', err);
         }
@@ -260,99 +716,478 @@ export async function connectToWhatsApp() {
   }
 }
 
+/* --------------------------- gestión de sesiones --------------------------- */
+export function isValidSessionId(sessionId) {
+  return SESSION_ID_RE.test(String(sessionId || ''));
+}
+
+/**
+ * Registra una sesión nueva (whatsappSessions/{id}) y la conecta.
+ * Si ya existe solo actualiza el nombre.
+ */
+export async function createSession(sessionId, { name = '', defaultRegion = '' } = {}) {
+  if (!isValidSessionId(sessionId)) throw new Error(`sessionId inválido: ${sessionId}`);
+
+  const ref = sessionsColl.doc(sessionId);
+  const snap = await ref.get();
+  const region = String(defaultRegion || snap.data()?.defaultRegion || '').toUpperCase() || null;
+  getSession(sessionId).defaultRegion = region;
+  await saveSessionMeta(sessionId, {
+    name: name || snap.data()?.name || sessionId,
+    defaultRegion: region,
+    autoConnect: true,
+    ...(snap.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+  });
+
+  if (!getSession(sessionId).sock) await connectToWhatsApp(sessionId);
+  return describeSession(sessionId);
+}
+
+/** Sesiones registradas en Firestore + las que estén vivas en memoria */
+export async function listSessions() {
+  const snap = await sessionsColl.get();
+  const ids = new Set([DEFAULT_SESSION, ...snap.docs.map(d => d.id), ...sessions.keys()]);
+  const meta = Object.fromEntries(snap.docs.map(d => [d.id, d.data()]));
+  return [...ids].map(id => ({ ...describeSession(id), name: meta[id]?.name || id }));
+}
+
+export function describeSession(sessionId = DEFAULT_SESSION) {
+  const s = peekSession(sessionId);
+  return {
+    id: s.id,
+    status: s.connectionStatus,
+    phone: s.sessionPhone,
+    defaultRegion: s.defaultRegion,
+    hasQR: !!s.latestQR,
+    pairing: s.pairing ? { phone: s.pairing.phone, at: s.pairing.at } : null,
+    connectedAt: s.connectedAt,
+    uptimeMs: s.connectedAt ? Date.now() - s.connectedAt.getTime() : 0,
+    lastDisconnect: s.lastDisconnect,
+    retryAttempt: s.retryAttempt,
+    retryInMs: s.retryAt ? Math.max(0, s.retryAt - Date.now()) : null,
+  };
+}
+
+/**
+ * Cierra sesión en WhatsApp (desvincula el número) y borra sus credenciales.
+ * No reconecta hasta que se llame connectToWhatsApp / createSession.
+ */
+export async function logoutSession(sessionId = DEFAULT_SESSION) {
+  const session = getSession(sessionId);
+  session.stopped = true;
+  clearRetry(session);
+
+  if (session.sock) {
+    try {
+      await session.sock.logout();
+    } catch (err) {
+      console.warn(`[WA:${session.id}] logout:`, err?.message);
+    }
+  }
+  if (session.clearState) await session.clearState();
+
+  teardownSocket(session);
+  logConnectionEvent(session.id, { type: 'logout', source: 'api' });
+  session.latestQR = null;
+  session.sessionPhone = null;
+  session.connectionStatus = 'Desconectado';
+  publishEvent(EVENT_TYPES.CONNECTION_STATE, describeSession(session.id));
+  await saveSessionMeta(session.id, { status: 'logged_out', autoConnect: false, phone: null });
+  return describeSession(session.id);
+}
+
+/**
+ * Vinculación por código (servidores sin pantalla): WhatsApp → Dispositivos
+ * vinculados → Vincular con número de teléfono. Solo sirve mientras la sesión
+ * no está registrada; el socket debe estar esperando QR.
+ * @returns {Promise<{ sessionId, phone, code }>}
+ */
+export async function requestPairingCode(sessionId = DEFAULT_SESSION, phone) {
+  const session = getSession(sessionId);
+  const digits = normalizePhone(phone, { region: session.defaultRegion || undefined });
+  if (!digits) throw new Error('Número de teléfono inválido');
+
+  if (!session.sock) await connectToWhatsApp(session.id);
+  if (session.sock?.authState?.creds?.registered) {
+    throw new Error(`La sesión ${session.id} ya está vinculada; cierra sesión primero`);
+  }
+
+  // el socket acepta el pedido cuando ya emitió el primer QR
+  for (let i = 0; i < 40 && !session.latestQR; i++) {
+    await new Promise(r => setTimeout(r, 500));
+  }
+  if (!session.sock || !session.latestQR) throw new Error('El socket no está listo para vincular, reintenta');
+
+  const code = await session.sock.requestPairingCode(digits);
+  session.pairing = { phone: digits, code, at: new Date() };
+  session.connectionStatus = 'Código de vinculación disponible. Ingrésalo en el teléfono.';
+  logConnectionEvent(session.id, { type: 'pairing_code', phone: digits });
+  return { sessionId: session.id, phone: digits, code };
+}
+
+/** Últimos eventos de conexión de una sesión (más recientes primero) */
+export async function listConnectionEvents(sessionId = DEFAULT_SESSION, { limit = 50 } = {}) {
+  const snap = await sessionsColl.doc(sessionId).collection('connectionEvents')
+    .orderBy('at', 'desc')
+    .limit(Math.min(limit, 500))
+    .get();
+  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/** Arranque: conecta "default" y todas las sesiones con autoConnect */
+export async function connectAllSessions() {
+  const snap = await sessionsColl.get();
+  const ids = new Set([DEFAULT_SESSION]);
+  snap.docs.forEach(d => {
+    if (d.data().autoConnect !== false) ids.add(d.id);
+  });
+
+  for (const id of ids) {
+    await connectToWhatsApp(id).catch(err => {
+      console.error(`Error al conectar sesión ${id}:`, err);
+      scheduleReconnect(getSession(id));
+    });
+  }
+}
+
 /* ----------------------------- helpers envío ---------------------------- */
-export function getLatestQR() {
-  return latestQR;
+export function getLatestQR(sessionId = DEFAULT_SESSION) {
+  return peekSession(sessionId).latestQR;
 }
-export function getConnectionStatus() {
-  return connectionStatus;
+export function getConnectionStatus(sessionId = DEFAULT_SESSION) {
+  return peekSession(sessionId).connectionStatus;
 }
-export function getWhatsAppSock() {
-  return whatsappSock;
+export function getWhatsAppSock(sessionId = DEFAULT_SESSION) {
+  return peekSession(sessionId).sock;
 }
-export function getSessionPhone() {
-  return sessionPhone;
+export function getSessionPhone(sessionId = DEFAULT_SESSION) {
+  return peekSession(sessionId).sessionPhone;
 }
 
-export async function sendMessageToLead(phone, messageContent) {
-  if (!whatsappSock) throw new Error('No hay conexión activa con WhatsApp');
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num; // normaliza MX
-  const jid = `${num}@s.whatsapp.net`;
+/**
+ * Resuelve destino de un envío: número normalizado, JID, lead (si existe)
+ * y la sesión por la que debe salir (opts.sessionId → lead.sessionId → default).
+ * Región para números sin código de país: opts.region → lead.region → sesión → DEFAULT_PHONE_REGION.
+ * Lanza OPTED_OUT si el lead se dio de baja (salvo opts.overrideOptOut).
+ * opts.priority ('manual' | 'system' | 'bulk') ordena el envío en outboundLimiter.
+ */
+async function resolveTarget(phone, { sessionId, region, overrideOptOut = false, priority = 'bulk' } = {}) {
+  const hintRegion = region || peekSession(sessionId).defaultRegion || undefined;
+  const lead = await findLeadByPhone(phone, { region: hintRegion });
+
+  // leads dados de baja: solo con override explícito de un agente
+  if (lead && isOptedOut(lead.data()) && !overrideOptOut) throw optOutError(lead.id);
 
-  await whatsappSock.sendMessage(
-    jid,
-    { text: messageContent, linkPreview: false },
-    { timeoutMs: 60_000 }
-  );
+  const sid = sessionId || lead?.data().sessionId || DEFAULT_SESSION;
+  const finalRegion = region || lead?.data().region || peekSession(sid).defaultRegion || undefined;
+  const num = normalizePhone(phone, { region: finalRegion });
+  const jid = toWhatsAppJid(phone, { region: finalRegion });
+  const leadId = lead?.id || null;
+
+  const sock = getWhatsAppSock(sid);
+  if (!sock) throw new Error(`No hay conexión activa con WhatsApp (sesión ${sid})`);
+
+  // conversación nueva = sin actividad con el lead en las últimas 24 h
+  const lastAt = lead?.data().lastMessageAt;
+  const lastMs = lastAt?.toMillis?.() ?? (lastAt ? +new Date(lastAt) : 0);
+  const newConversation = !lastMs || Date.now() - lastMs > 24 * 60 * 60 * 1000;
+
+  return {
+    num, jid, leadId, sessionId: sid, priority, newConversation,
+    lastInboundKey: lead?.data().lastInboundKey || null,
+  };
+}
+
+/* ------------------------------ humanize ------------------------------ */
+const HUMANIZE_DEFAULTS = {
+  markRead: true,
+  msPerChar: 45,          // ~ escritura rápida en el móvil
+  audioFactor: 1,         // "grabando" durante la duración del audio
+  minMs: 1200,
+  maxMs: 15_000,
+};
+
+/** humanize: true | false | { markRead, msPerChar, audioFactor, minMs, maxMs } → config o null */
+export function humanizeConfig(humanize) {
+  if (!humanize) return null;
+  if (humanize === true) return { ...HUMANIZE_DEFAULTS };
+  if (typeof humanize !== 'object' || humanize.enabled === false) return null;
+  return { ...HUMANIZE_DEFAULTS, ...humanize };
+}
+
+/** Duración de la presencia: proporcional al texto o a la duración del audio */
+function humanizeDelayMs(cfg, { text = '', seconds = null }) {
+  const raw = Number.isFinite(seconds)
+    ? seconds * 1000 * cfg.audioFactor
+    : String(text).length * cfg.msPerChar;
+  // ±15 % para que no sea siempre idéntico
+  const jitter = 1 + (Math.random() * 0.3 - 0.15);
+  return Math.round(Math.min(cfg.maxMs, Math.max(cfg.minMs, raw * jitter)));
+}
+
+/**
+ * Marca el chat como leído y muestra "escribiendo…" / "grabando audio…"
+ * antes de enviar. Corre dentro de la tarea del limitador, justo antes de
+ * sock.sendMessage: la espera ocupa el turno del envío y no se adelanta a
+ * la cola. Nunca hace fallar el envío.
+ * @param {'composing'|'recording'} presence
+ */
+async function simulatePresence(target, humanize, { presence = 'composing', text, seconds } = {}) {
+  const cfg = humanizeConfig(humanize);
+  if (!cfg) return;
+  const sock = getWhatsAppSock(target.sessionId);
+  if (!sock) return;
+
+  try {
+    if (cfg.markRead && target.lastInboundKey?.id) {
+      await sock.readMessages([{ ...target.lastInboundKey, fromMe: false }]);
+    }
+    await sock.presenceSubscribe(target.jid);
+
+    // WhatsApp apaga la presencia a los ~10 s: se renueva mientras dura la espera
+    let remaining = humanizeDelayMs(cfg, { text, seconds });
+    while (remaining > 0) {
+      await sock.sendPresenceUpdate(presence, target.jid);
+      const step = Math.min(remaining, 8000);
+      await new Promise(r => setTimeout(r, step));
+      remaining -= step;
+    }
+    await sock.sendPresenceUpdate('paused', target.jid);
+  } catch (err) {
+    console.warn(`[humanize] presencia fallida para ${target.jid}:`, err?.message || err);
+  }
+}
+
+/**
+ * sock.sendMessage a través del limitador global. El socket se toma
+ * al salir de la cola (puede haber reconectado mientras esperaba).
+ * @param {{ humanize?, presence?, text?, seconds? }} [presence] opciones de simulatePresence
+ */
+function sendLimited(target, content, sendOpts, presence) {
+  return scheduleSend(target.sessionId, async () => {
+    if (presence) await simulatePresence(target, presence.humanize, presence);
+    const sock = getWhatsAppSock(target.sessionId);
+    if (!sock) throw new Error(`No hay conexión activa con WhatsApp (sesión ${target.sessionId})`);
+    return sock.sendMessage(target.jid, content, sendOpts);
+  }, { priority: target.priority, jid: target.jid, newConversation: target.newConversation });
+}
+
+/**
+ * Busca un lead por teléfono aceptando cualquiera de sus formas guardadas
+ * (canónica, 521 legado, 10 dígitos). Devuelve el DocumentSnapshot o null.
+ */
+export async function findLeadByPhone(phone, { region } = {}) {
+  const variants = phoneVariants(phone, { region });
+  if (!variants.length) return null;
+  const q = await db.collection('leads').where('telefono', 'in', variants).limit(1).get();
+  return q.empty ? null : q.docs[0];
+}
+
+/* ------------------------ estado de entrega (acks) ------------------------ */
+// sent → delivered → read; failed solo si aún no se entregó
+const STATUS_RANK = { failed: 0, sent: 1, delivered: 2, read: 3 };
+
+// proto.WebMessageInfo.Status: 0 ERROR, 1 PENDING, 2 SERVER_ACK, 3 DELIVERY_ACK, 4 READ, 5 PLAYED
+function statusFromAck(ack) {
+  switch (ack) {
+    case 0: return 'failed';
+    case 2: return 'sent';
+    case 3: return 'delivered';
+    case 4:
+    case 5: return 'read';
+    default: return null;
+  }
+}
+
+// jid → leadId, evita buscar el lead en cada recibo. El leadId cacheado pasa
+// por resolveLeadId: si otra instancia lo fusionó, el recibo va al superviviente.
+const leadIdByJid = new Map();
+
+async function leadIdForJid(jid) {
+  if (leadIdByJid.has(jid)) return resolveLeadId(leadIdByJid.get(jid));
+
+  let leadId = null;
+  const direct = await db.collection('leads').doc(await resolveLeadId(jid)).get();
+  if (direct.exists) leadId = direct.id;
+  else leadId = (await findLeadByPhone(jid))?.id || null;
+
+  // null no se cachea: el lead puede crearse después y sus recibos deben llegar
+  if (!leadId) return null;
+  if (leadIdByJid.size > 5000) leadIdByJid.clear();
+  leadIdByJid.set(jid, leadId);
+  return leadId;
+}
+
+/** Olvida jids/leadIds cacheados (p. ej. leads absorbidos en una fusión) */
+export function forgetLeadIds(ids = []) {
+  for (const [jid, leadId] of leadIdByJid) {
+    if (ids.includes(jid) || ids.includes(leadId)) leadIdByJid.delete(jid);
+  }
+}
+
+/**
+ * Avanza el estado de un mensaje saliente (leads/{id}/messages/{waMessageId}).
+ * Nunca retrocede: un "delivered" tardío no pisa un "read".
+ * El recibo puede llegar antes que persistOutbound: se escribe con merge
+ * y persistOutbound completa el resto del doc sin pisar el estado.
+ */
+async function applyMessageStatus(key, status, at = now(), extra = {}) {
+  if (!key?.id || !key.fromMe || !status) return;
+  const leadId = await leadIdForJid(key.remoteJid);
+  if (!leadId) return;
 
-  // persistir en Firestore si existe el lead
-  const q = await db.collection('leads').where('telefono', '==', num).limit(1).get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const outMsg = { content: messageContent, sender: 'business', timestamp: now() };
-    await db.collection('leads').doc(leadId).collection('messages').add(outMsg);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: outMsg.timestamp });
+  const ref = db.collection('leads').doc(leadId).collection('messages').doc(key.id);
+  const { advance, cur } = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const prev = snap.exists ? snap.data().status : undefined;
+    const adv = status === 'failed'
+      ? prev !== 'failed' && (STATUS_RANK[prev] ?? 0) < STATUS_RANK.delivered
+      : !prev || STATUS_RANK[status] > (STATUS_RANK[prev] ?? -1);
+
+    const upd = { ...extra };
+    if (adv) {
+      upd.status = status;
+      upd.statusUpdatedAt = at;
+      upd[`${status}At`] = at;
+    }
+    if (!snap.exists) upd.waMessageId = key.id;
+    if (Object.keys(upd).length) tx.set(ref, upd, { merge: true });
+    return { advance: adv, cur: prev };
+  });
+  if (advance) {
+    publishEvent(EVENT_TYPES.MESSAGE_STATUS, { waMessageId: key.id, status, previous: cur || null, at }, { leadId });
   }
-  return { success: true };
 }
 
-export async function sendFullAudioAsDocument(phone, fileUrl) {
-  const sock = getWhatsAppSock();
-  if (!sock) throw new Error('No hay conexión activa con WhatsApp');
+/**
+ * Guarda un mensaje saliente. Si WhatsApp devolvió key, el doc usa
+ * su id (waMessageId) para poder aplicar luego los recibos.
+ */
+async function persistOutbound(leadId, msgData, sent = null) {
+  if (!leadId) return;
+  const waMessageId = sent?.key?.id || null;
+  const data = {
+    ...msgData,
+    waMessageId,
+    status: 'sent',
+    sentAt: msgData.timestamp,
+    statusUpdatedAt: msgData.timestamp,
+  };
+  const coll = db.collection('leads').doc(leadId).collection('messages');
+  const ref = waMessageId ? coll.doc(waMessageId) : coll.doc();
+  await db.runTransaction(async (tx) => {
+    const snap = waMessageId ? await tx.get(ref) : null;
+    const cur = snap?.exists ? snap.data().status : undefined;
+    // un recibo ya aplicado (delivered/read/failed) no se pisa con 'sent'
+    const write = cur && cur !== 'sent'
+      ? (({ status, statusUpdatedAt, ...rest }) => rest)(data)
+      : data;
+    tx.set(ref, { ...write, rawMessage: serializeRawMessage(sent?.message) }, { merge: true });
+  });
+  await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
+  publishEvent(EVENT_TYPES.MESSAGE_OUTBOUND, { id: ref.id, ...data }, { leadId });
+}
 
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num;
-  const jid = `${num}@s.whatsapp.net`;
+// envío fallido: queda en el chat como "failed"
+async function recordFailedSend(leadId, msgData, err) {
+  if (!leadId) return;
+  await db.collection('leads').doc(leadId).collection('messages').add({
+    ...msgData,
+    status: 'failed',
+    failedAt: msgData.timestamp,
+    statusUpdatedAt: msgData.timestamp,
+    error: String(err?.message || err),
+  }).catch(e => console.error('No se pudo guardar mensaje fallido:', e));
+}
+
+/**
+ * sock.sendMessage + persistencia con estado. Si el envío falla
+ * el mensaje queda guardado como "failed" y se relanza el error.
+ */
+async function sendTracked(target, content, sendOpts, msgData, presence) {
+  const { leadId } = target;
+  let sent;
+  try {
+    sent = await sendLimited(target, content, sendOpts, presence);
+  } catch (err) {
+    await recordFailedSend(leadId, msgData, err);
+    throw err;
+  }
+  await persistOutbound(leadId, msgData, sent);
+  return sent;
+}
+
+/**
+ * opts.humanize (true | config) en todos los helpers: leído + presencia antes de enviar.
+ */
+export async function sendMessageToLead(phone, messageContent, opts = {}) {
+  const target = await resolveTarget(phone, opts);
+
+  // persiste en Firestore (si existe el lead) con waMessageId + estado
+  const sent = await sendTracked(
+    target,
+    { text: messageContent, linkPreview: false },
+    { timeoutMs: 60_000 },
+    { content: messageContent, sender: 'business', sessionId: target.sessionId, timestamp: now() },
+    { humanize: opts.humanize, text: messageContent }
+  );
+  return { success: true, messageId: sent?.key?.id || null };
+}
+
+/**
+ * Canción completa como documento mp3. opts.mediaUrl = referencia que se guarda
+ * en el mensaje (p. ej. /api/media/{id}); fileUrl suele ser una URL firmada de vida corta.
+ */
+export async function sendFullAudioAsDocument(phone, fileUrl, opts = {}) {
+  const target = await resolveTarget(phone, opts);
+  const { jid } = target;
 
   const res = await axios.get(fileUrl, { responseType: 'arraybuffer' });
   const buffer = Buffer.from(res.data);
+  const fileName = 'cancion_completa.mp3';
+  const caption = '¡Te comparto tu canción completa!';
 
-  await sock.sendMessage(jid, {
-    document: buffer,
+  await sendTracked(target, { document: buffer, mimetype: 'audio/mpeg', fileName, caption }, undefined, {
+    content: caption,
+    mediaType: 'document',
+    mediaUrl: opts.mediaUrl ?? null,
     mimetype: 'audio/mpeg',
-    fileName: 'cancion_completa.mp3',
-    caption: '¡Te comparto tu canción completa!',
-  });
+    fileName,
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: now()
+  }, { humanize: opts.humanize });
   console.log(`✅ Canción completa enviada como adjunto a ${jid}`);
 }
 
-export async function sendAudioMessage(phone, filePath) {
-  const sock = getWhatsAppSock();
-  if (!sock) throw new Error('Socket de WhatsApp no está conectado');
-
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num;
-  const jid = `${num}@s.whatsapp.net`;
+export async function sendAudioMessage(phone, filePath, opts = {}) {
+  const target = await resolveTarget(phone, opts);
 
   const audioBuffer = fs.readFileSync(filePath);
-  await sock.sendMessage(jid, { audio: audioBuffer, mimetype: 'audio/mp4', ptt: true });
 
   // subir a Storage y guardar en mensajes
-  const dest = `audios/${num}-${Date.now()}.m4a`;
-  const file = bucket.file(dest);
-  await file.save(audioBuffer, { contentType: 'audio/mp4' });
-  const [mediaUrl] = await file.getSignedUrl({ action: 'read', expires: '03-01-2500' });
-
-  const q = await db.collection('leads').where('telefono', '==', num).limit(1).get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = { content: '', mediaType: 'audio', mediaUrl, sender: 'business', timestamp: now() };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
-  }
+  const mediaUrl = await uploadMedia(`audios/${target.num}-${Date.now()}.m4a`, audioBuffer, 'audio/mp4', {
+    leadId: target.leadId,
+    kind: 'audio',
+  });
+
+  await sendTracked(
+    target,
+    { audio: audioBuffer, mimetype: 'audio/mp4', ptt: true },
+    undefined,
+    { content: '', mediaType: 'audio', mediaUrl, sender: 'business', sessionId: target.sessionId, timestamp: now() },
+    { humanize: opts.humanize, presence: 'recording', seconds: opts.seconds }
+  );
 }
 
 /**
  * Envía audio por URL. Si es .ogg/.opus lo envía como **nota de voz** (PTT).
+ * Se guarda como los demás helpers (waMessageId + estado); opts.mediaUrl =
+ * referencia a guardar si clipUrl es una URL firmada de vida corta.
  */
-export async function sendClipMessage(phone, clipUrl) {
-  const sock = getWhatsAppSock();
-  if (!sock) throw new Error('No hay conexión activa con WhatsApp');
-
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num;
-  const jid = `${num}@s.whatsapp.net`;
+export async function sendClipMessage(phone, clipUrl, opts = {}) {
+  const target = await resolveTarget(phone, opts);
+  const { jid } = target;
 
   // Detecta .ogg/.opus para forzar PTT
   const isOgg = /\.(ogg|opus)(\?|#|$)/i.test(clipUrl);
@@ -360,32 +1195,43 @@ export async function sendClipMessage(phone, clipUrl) {
     ? { audio: { url: clipUrl }, mimetype: 'audio/ogg; codecs=opus', ptt: true }
     : { audio: { url: clipUrl }, mimetype: 'audio/mp4', ptt: false };
 
-  const opts = { timeoutMs: 120_000, sendSeen: false };
+  const sendOpts = { timeoutMs: 120_000, sendSeen: false };
+  const presence = { humanize: opts.humanize, presence: isOgg ? 'recording' : 'composing', seconds: opts.seconds };
+  const msgData = {
+    content: '',
+    mediaType: isOgg ? 'audio_ptt' : 'audio',
+    mediaUrl: opts.mediaUrl ?? clipUrl,
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: now()
+  };
 
+  // reintentos por timeout: se guarda un solo mensaje (enviado o "failed")
+  let sent;
   for (let i = 1; i <= 3; i++) {
     try {
-      await sock.sendMessage(jid, payload, opts);
+      // la presencia solo en el primer intento
+      sent = await sendLimited(target, payload, sendOpts, i === 1 ? presence : undefined);
       console.log(`✅ clip enviado (intento ${i}) a ${jid}`);
-      return;
+      break;
     } catch (err) {
       const isTO = err?.message?.includes('Timed Out');
       console.warn(`⚠️ fallo envío clip intento ${i}${isTO ? ' (Timeout)' : ''}`);
-      if (!isTO || i === 3) throw err;
+      if (!isTO || i === 3) {
+        await recordFailedSend(target.leadId, msgData, err);
+        throw err;
+      }
       await new Promise(r => setTimeout(r, 2000 * i));
     }
   }
+  await persistOutbound(target.leadId, msgData, sent);
 }
 
 /**
  * Envía **nota de voz** (PTT) desde una URL (ogg/opus) o cualquiera compatible con WhatsApp.
  */
-export async function sendVoiceNoteFromUrl(phone, fileUrl, secondsHint = null) {
-  const sock = getWhatsAppSock();
-  if (!sock) throw new Error('No hay conexión activa con WhatsApp');
-
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num;
-  const jid = `${num}@s.whatsapp.net`;
+export async function sendVoiceNoteFromUrl(phone, fileUrl, secondsHint = null, opts = {}) {
+  const target = await resolveTarget(phone, opts);
 
   const msg = {
     audio: { url: fileUrl },
@@ -396,54 +1242,127 @@ export async function sendVoiceNoteFromUrl(phone, fileUrl, secondsHint = null) {
     msg.seconds = Math.max(1, Math.round(secondsHint));
   }
 
-  await sock.sendMessage(jid, msg, { timeoutMs: 120_000 });
-
-  // Persistir en Firestore
-  const q = await db.collection('leads').where('telefono', '==', num).limit(1).get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = {
-      content: '',
-      mediaType: 'audio_ptt',
-      mediaUrl: fileUrl,
-      sender: 'business',
-      timestamp: new Date()
-    };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
-  }
+  // Envío + persistencia en Firestore
+  await sendTracked(target, msg, { timeoutMs: 120_000 }, {
+    content: '',
+    mediaType: 'audio_ptt',
+    mediaUrl: fileUrl,
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: new Date()
+  }, { humanize: opts.humanize, presence: 'recording', seconds: msg.seconds });
 }
 
 /**
  * Envía **video note** (video redondo).
  */
-export async function sendVideoNote(phone, videoUrlOrPath) {
-  const sock = getWhatsAppSock();
-  if (!sock) throw new Error('No hay conexión activa con WhatsApp');
-
-  let num = String(phone).replace(/\D/g, '');
-  if (num.length === 10) num = '52' + num; // normaliza MX si aplica
-  const jid = `${num}@s.whatsapp.net`;
+export async function sendVideoNote(phone, videoUrlOrPath, opts = {}) {
+  const target = await resolveTarget(phone, opts);
 
   const content =
     videoUrlOrPath.startsWith('http')
       ? { video: { url: videoUrlOrPath }, ptv: true }
       : { video: fs.readFileSync(videoUrlOrPath), ptv: true };
 
-  await sock.sendMessage(jid, content, { timeoutMs: 120_000 });
-
-  // Persistir en Firestore
-  const q = await db.collection('leads').where('telefono', '==', num).limit(1).get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = {
-      content: '',
-      mediaType: 'video_note',
-      mediaUrl: videoUrlOrPath.startsWith('http') ? videoUrlOrPath : null,
-      sender: 'business',
-      timestamp: new Date()
-    };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
+  // Envío + persistencia en Firestore
+  await sendTracked(target, content, { timeoutMs: 120_000 }, {
+    content: '',
+    mediaType: 'video_note',
+    mediaUrl: videoUrlOrPath.startsWith('http') ? videoUrlOrPath : null,
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: new Date()
+  }, { humanize: opts.humanize, presence: 'recording', seconds: opts.seconds });
+}
+
+/**
+ * Envía imagen o video desde una URL (pasos 'imagen' / 'video' de secuencias).
+ */
+export async function sendMediaFromUrl(phone, mediaType, url, opts = {}) {
+  const target = await resolveTarget(phone, opts);
+  const key = mediaType === 'video' ? 'video' : 'image';
+
+  await sendTracked(target, { [key]: { url } }, { timeoutMs: 120_000 }, {
+    content: '',
+    mediaType: key,
+    mediaUrl: url,
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: new Date()
+  }, { humanize: opts.humanize });
+}
+
+/**
+ * Mensaje citado para opts.quoted a partir de un doc de leads/{id}/messages/{waMessageId}.
+ * Devuelve { quoted, text } (text = contenido guardado, para la vista previa)
+ * o null si el mensaje no existe (se envía sin cita).
+ */
+async function quotedFromMessage(target, waMessageId) {
+  if (!waMessageId || !target.leadId) return null;
+  const snap = await db.collection('leads').doc(target.leadId).collection('messages').doc(waMessageId).get();
+  if (!snap.exists) return null;
+  const m = snap.data();
+  let message = null;
+  if (m.rawMessage) {
+    try {
+      message = JSON.parse(m.rawMessage, BufferJSON.reviver);
+    } catch (err) {
+      console.warn('[WA] rawMessage inválido:', waMessageId, err?.message);
+    }
   }
+  const text = m.content || m.transcript || '';
+  return {
+    quoted: {
+      key: { remoteJid: target.jid, id: waMessageId, fromMe: m.sender === 'business' },
+      // mensajes guardados antes de rawMessage: solo el texto
+      message: message || { conversation: text },
+    },
+    text,
+  };
+}
+
+/**
+ * Envío manual de imagen / video / audio / documento / sticker (CRM).
+ * Ajusta el formato a lo que WhatsApp acepta, lo sube vía mediaService,
+ * lo envía (opcionalmente citando replyTo) y lo persiste como los demás helpers.
+ * @param {{ buffer: Buffer, mimetype?: string, fileName?: string, kind?: string,
+ *           caption?: string, replyTo?: string, ptt?: boolean }} media
+ */
+export async function sendMediaMessage(phone, media, opts = {}) {
+  const target = await resolveTarget(phone, opts);
+  const { caption = '', replyTo = null, fileName = null, ptt = false } = media;
+
+  const prepared = await prepareOutboundMedia(media);
+  const { kind } = prepared;
+  const name = fileName || `archivo${prepared.ext}`;
+
+  const folder = { image: 'images', video: 'videos', audio: 'audios', sticker: 'stickers' }[kind] || 'docs';
+  const ext = kind === 'document' ? path.extname(name) || prepared.ext : prepared.ext;
+  const mediaUrl = await uploadMedia(`${folder}/${target.num}-${Date.now()}${ext}`, prepared.buffer, prepared.mimetype, {
+    leadId: target.leadId,
+    kind,
+  });
+
+  const content = { mimetype: prepared.mimetype };
+  if (kind === 'image') Object.assign(content, { image: prepared.buffer, caption });
+  else if (kind === 'video') Object.assign(content, { video: prepared.buffer, caption });
+  else if (kind === 'audio') Object.assign(content, { audio: prepared.buffer, ptt: !!ptt });
+  else if (kind === 'sticker') Object.assign(content, { sticker: prepared.buffer });
+  else Object.assign(content, { document: prepared.buffer, fileName: name, caption });
+
+  const reply = await quotedFromMessage(target, replyTo);
+  const quoted = reply?.quoted;
+
+  const sent = await sendTracked(target, content, { timeoutMs: 120_000, ...(quoted ? { quoted } : {}) }, {
+    content: kind === 'audio' || kind === 'sticker' ? '' : caption,
+    mediaType: kind === 'audio' && ptt ? 'audio_ptt' : kind,
+    mediaUrl,
+    mimetype: prepared.mimetype,
+    ...(kind === 'document' ? { fileName: name } : {}),
+    ...(quoted ? { replyTo: { waMessageId: replyTo, content: reply.text.slice(0, 300) } } : {}),
+    sender: 'business',
+    sessionId: target.sessionId,
+    timestamp: now()
+  }, { humanize: opts.humanize, presence: kind === 'audio' && ptt ? 'recording' : 'composing' });
+  return { success: true, messageId: sent?.key?.id || null, kind, mediaUrl, transcoded: prepared.transcoded };
 }